@@ -31,6 +31,9 @@ const values = new Map([
   ["K", 10]
 ]);
 
+/** The rank of a joker */
+const joker = "Joker";
+
 const order = new Map([
   ["A", 1],
   ["2", 2],
@@ -47,6 +50,43 @@ const order = new Map([
   ["K", 13]
 ]);
 
+/** Cards dealt to every player at the start of a round */
+const handSize = 11;
+
+/**
+ * Most players a game can deal to.  Two decks without jokers must hold every hand and
+ * the first discard.
+ */
+const maxPlayers = Math.floor((2 * suits.length * ranks.length - 1) / handSize);
+
+/** The phases of a single turn */
+const phases = {
+  // players may ask to buy the top discard
+  BUY: "BUY",
+  // the current player must draw a card
+  DRAW: "DRAW",
+  // the current player may meld, lay off, swap or discard
+  PLAY: "PLAY",
+  // the current player must discard
+  DISCARD: "DISCARD"
+};
+
+/** Class representing a rejected game action. */
+class GameError extends Error {
+  /**
+   *
+   * Create a game error.
+   * @param {string} code - Machine readable code describing the error.
+   * @param {string} message - Human readable description of the error.
+   *
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "GameError";
+    this.code = code;
+  }
+}
+
 /** Class representing a playing card. */
 class Card {
   /**
@@ -65,6 +105,42 @@ class Card {
     this.value = value;
     this.order = order;
   }
+
+  /**
+   *
+   * fromJSON
+   * Creates a card from its serialized form.
+   * @param {object} data - serialized card.
+   * @return {Card} returns the card.
+   *
+   */
+  static fromJSON({ id, rank, suit, value, order }) {
+    return new Card(id, rank, suit, value, order);
+  }
+}
+
+/**
+ *
+ * seededRandom
+ * Creates a deterministic random number generator (mulberry32) from a seed.  Like
+ * Math.random the generator returns numbers in the range [0, 1).  The same seed
+ * always produces the same sequence of numbers.  The current state is available
+ * through getState and passing it back as a seed continues the same sequence.
+ * @param {number} seed - 32 bit integer seed.
+ * @return {function} random number generator.
+ *
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => state;
+  return random;
 }
 
 /** Class representing a deck of playing card. */
@@ -77,11 +153,22 @@ class Deck {
    * @param {map} values - The value of a given rank.
    * @param {number} decks - The number of decks (default = 1).
    * @param {boolean} shuffle - Shuffle the deck.
+   * @param {function} random - Random number generator used to shuffle (default = Math.random).
+   * @param {number} jokers - The number of jokers in each deck (default = 0).
    *
    */
-  constructor(suits, ranks, values, decks = 1, shuffle = true) {
+  constructor(
+    suits,
+    ranks,
+    values,
+    decks = 1,
+    shuffle = true,
+    random = Math.random,
+    jokers = 0
+  ) {
     this.deck = [];
     this.discarded = [];
+    this.random = random;
     let counter = 1;
     for (let s of suits) {
       for (let r of ranks) {
@@ -90,6 +177,10 @@ class Deck {
         }
       }
     }
+    // jokers have no suit or order - their value is set by the game
+    for (let i = 0; i < decks * jokers; i++, counter++) {
+      this.deck.push(new Card(counter, joker, null, values.get(joker)));
+    }
     if (shuffle) this.shuffle();
   }
 
@@ -107,28 +198,39 @@ class Deck {
   /**
    *
    * shuffle
-   * Shuffles a Deck of Card Objects.
+   * Shuffles a Deck of Card Objects using an unbiased Fisher-Yates shuffle.
    *
    */
   shuffle() {
-    for (let card in this.deck) {
-      let randomCard = Math.floor(Math.random() * this.deck.length);
-      [this.deck[card], this.deck[randomCard]] = [
-        this.deck[randomCard],
-        this.deck[card]
-      ];
+    for (let i = this.deck.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
     }
   }
 
+  /**
+   *
+   * canReDeck
+   * Checks whether there are discarded cards to place back into the deck.  The top
+   * discard always stays face up so at least two discarded cards are required.
+   * @return {boolean} returns true if the deck can be rebuilt, false otherwise.
+   *
+   */
+  canReDeck() {
+    return this.discarded.length > 1;
+  }
+
   /**
    *
    * reDeck
-   * Places discarded cards back into the deck and shuffles them.
+   * Places discarded cards back into the deck and shuffles them.  The top discard
+   * is kept face up on the discard pile.
    *
    */
   reDeck() {
+    const top = this.discarded.pop();
     this.deck = [...this.deck, ...this.discarded];
-    this.discarded = [];
+    this.discarded = top ? [top] : [];
     this.shuffle();
   }
 
@@ -140,53 +242,315 @@ class Deck {
   drawCard() {
     return this.deck.shift();
   }
+
+  /**
+   *
+   * toJSON
+   * Serializes the deck and the discard pile.
+   * @return {object} returns the serialized deck.
+   *
+   */
+  toJSON() {
+    return { deck: this.deck, discarded: this.discarded };
+  }
+
+  /**
+   *
+   * fromJSON
+   * Creates a deck from its serialized form.
+   * @param {object} data - serialized deck.
+   * @param {function} getCard - returns the Card object for a serialized card.
+   * @param {function} random - Random number generator used to shuffle (default = Math.random).
+   * @return {Deck} returns the deck.
+   *
+   */
+  static fromJSON(data, getCard, random = Math.random) {
+    const deck = new Deck([], [], new Map(), 0, false, random);
+    deck.deck = data.deck.map(getCard);
+    deck.discarded = data.discarded.map(getCard);
+    return deck;
+  }
 }
 
-/** Description of each rounds meld requirements */
-const melds = [
-  {
-    id: 1,
-    name: "Two Threes",
-    sets: 2,
-    length: 3,
-    description: "2 sets of 3 cards where each card has the same value."
-  },
-  {
-    id: 2,
-    name: "One Four",
-    sets: 1,
-    length: 4,
-    description: "1 set of 4 cards where each card has the same value."
-  },
-  {
-    id: 3,
-    name: "Two Fours",
-    sets: 2,
-    length: 4,
-    description: "2 sets of 4 cards where each card has the same value."
-  },
-  {
-    id: 4,
-    name: "One Five",
-    sets: 1,
-    length: 5,
-    description: "1 set of 5 cards where each card has the same value."
-  },
-  {
-    id: 5,
-    name: "One Six",
-    sets: 1,
-    length: 6,
-    description: "1 set of 6 cards where each card has the same value."
-  },
-  {
-    id: 6,
-    name: "Two Fives",
-    sets: 2,
-    length: 5,
-    description: "2 sets of 5 cards where each card has the same value."
+/**
+ * Round contracts (meld requirements) available to a game.  Each contract lists
+ * the number of sets and runs required for the initial meld of a round and their
+ * minimum lengths.
+ */
+const contractPresets = {
+  // the original set only contracts
+  classic: [
+    {
+      id: 1,
+      name: "Two Threes",
+      sets: 2,
+      runs: 0,
+      setLength: 3,
+      runLength: 4,
+      description: "2 sets of 3 cards where each card has the same value."
+    },
+    {
+      id: 2,
+      name: "One Four",
+      sets: 1,
+      runs: 0,
+      setLength: 4,
+      runLength: 4,
+      description: "1 set of 4 cards where each card has the same value."
+    },
+    {
+      id: 3,
+      name: "Two Fours",
+      sets: 2,
+      runs: 0,
+      setLength: 4,
+      runLength: 4,
+      description: "2 sets of 4 cards where each card has the same value."
+    },
+    {
+      id: 4,
+      name: "One Five",
+      sets: 1,
+      runs: 0,
+      setLength: 5,
+      runLength: 4,
+      description: "1 set of 5 cards where each card has the same value."
+    },
+    {
+      id: 5,
+      name: "One Six",
+      sets: 1,
+      runs: 0,
+      setLength: 6,
+      runLength: 4,
+      description: "1 set of 6 cards where each card has the same value."
+    },
+    {
+      id: 6,
+      name: "Two Fives",
+      sets: 2,
+      runs: 0,
+      setLength: 5,
+      runLength: 4,
+      description: "2 sets of 5 cards where each card has the same value."
+    }
+  ],
+  // the standard May I contracts mixing sets of 3 and runs of 4
+  standard: [
+    { id: 1, name: "Two Sets", sets: 2, runs: 0 },
+    { id: 2, name: "One Set One Run", sets: 1, runs: 1 },
+    { id: 3, name: "Two Runs", sets: 0, runs: 2 },
+    { id: 4, name: "Three Sets", sets: 3, runs: 0 },
+    { id: 5, name: "Two Sets One Run", sets: 2, runs: 1 },
+    { id: 6, name: "One Set Two Runs", sets: 1, runs: 2 },
+    { id: 7, name: "Three Runs", sets: 0, runs: 3 }
+  ].map(contract => ({
+    ...contract,
+    setLength: 3,
+    runLength: 4,
+    description: describeContract(contract.sets, contract.runs, 3, 4)
+  }))
+};
+
+/** Longest set or run a contract may require, a run covers at most every rank of a suit */
+const maxMeldLength = 13;
+
+/**
+ * Most cards a contract may require in total.  A hand is dealt 11 cards, the standard
+ * Three Runs contract needs 12 which a player collects by drawing and buying.
+ */
+const maxContractCards = 12;
+
+/**
+ *
+ * describeContract
+ * Describes the requirements of a contract.
+ * @param {number} sets - number of sets required.
+ * @param {number} runs - number of runs required.
+ * @param {number} setLength - minimum length of each set.
+ * @param {number} runLength - minimum length of each run.
+ * @return {string} returns the description of the contract.
+ *
+ */
+function describeContract(sets, runs, setLength, runLength) {
+  const parts = [];
+  if (sets)
+    parts.push(`${sets} set${sets > 1 ? "s" : ""} of ${setLength} cards`);
+  if (runs)
+    parts.push(`${runs} run${runs > 1 ? "s" : ""} of ${runLength} cards`);
+  return `${parts.join(" and ")}.`;
+}
+
+/**
+ *
+ * getContracts
+ * Resolves the round contracts of a game.  Contracts are either the name of a
+ * contract preset or an array of custom contracts with the number of sets and runs
+ * required and (optionally) their minimum lengths.  Throws a GameError if the
+ * contracts are invalid.
+ * @param {string|array} contracts - preset name or array of contracts.
+ * @return {array} returns the contract of each round.
+ *
+ */
+function getContracts(contracts) {
+  if (typeof contracts === "string") {
+    if (!Object.prototype.hasOwnProperty.call(contractPresets, contracts))
+      throw new GameError(
+        "INVALID_CONTRACTS",
+        `There are no contracts named ${contracts}.`
+      );
+    return contractPresets[contracts];
   }
-];
+  if (!Array.isArray(contracts) || !contracts.length)
+    throw new GameError("INVALID_CONTRACTS", "No contracts were provided.");
+  return contracts.map((contract, i) => {
+    if (!contract || typeof contract !== "object" || Array.isArray(contract))
+      throw new GameError(
+        "INVALID_CONTRACTS",
+        `The contract for round ${i + 1} is invalid.`
+      );
+    const { sets = 0, runs = 0, setLength = 3, runLength = 4 } = contract;
+    const { name = null, description = null } = contract;
+    if (
+      ![sets, runs, setLength, runLength].every(Number.isInteger) ||
+      ![name, description].every(
+        text => text === null || typeof text === "string"
+      ) ||
+      sets < 0 ||
+      runs < 0 ||
+      sets + runs < 1 ||
+      setLength < 3 ||
+      runLength < 3 ||
+      setLength > maxMeldLength ||
+      runLength > maxMeldLength ||
+      sets * setLength + runs * runLength > maxContractCards
+    )
+      throw new GameError(
+        "INVALID_CONTRACTS",
+        `The contract for round ${i + 1} is invalid.`
+      );
+    return {
+      id: i + 1,
+      name: name || `Round ${i + 1}`,
+      sets,
+      runs,
+      setLength,
+      runLength,
+      description:
+        description || describeContract(sets, runs, setLength, runLength)
+    };
+  });
+}
+
+/** How aces may be used in a run: low only (A-2-3), also high (Q-K-A) or around the corner (K-A-2) */
+const aceOptions = ["LOW", "HIGH", "WRAP"];
+
+/** The cards that can be used as wild cards */
+const wildOptions = ["JOKERS_AND_TWOS", "JOKERS"];
+
+/** Default options of a MayI Game */
+const defaultOptions = {
+  // contract preset name or array of contracts
+  contracts: "classic",
+  // number of jokers added to each deck
+  jokers: 0,
+  // points a joker left in a players hand is worth
+  jokerValue: 50,
+  // the cards that are wild (see wildOptions)
+  wilds: "JOKERS_AND_TWOS",
+  // how aces may be used in a run (see aceOptions)
+  aces: "LOW",
+  // minimum number of cards in a meld
+  minMeldLength: 3,
+  // maximum number of wild cards in a meld - a number or "NATURALS" (no more wild than natural cards)
+  maxWilds: "NATURALS"
+};
+
+/** Minimum number of players needed to keep playing, a game with fewer players left ends */
+const minPlayers = 2;
+
+/** Maximum number of lay downs returned as hints */
+const maxHints = 5;
+
+/** Description of each reason a meld can be rejected for */
+const meldErrors = {
+  DUPLICATE_CARD: "A card cannot be used more than once in a meld.",
+  TOO_SHORT: "The meld does not have enough cards.",
+  TOO_MANY_WILDS: "The meld has too many wild cards.",
+  MIXED_SUITS:
+    "The cards are not the same rank and a run must be a single suit.",
+  NOT_CONSECUTIVE: "The cards are not the same rank and do not form a run.",
+  CONTRACT_NOT_MET: "The melds do not meet the contract for this round.",
+  NO_CARDS_LEFT: "You must keep at least one card in your hand.",
+  NOT_MELDED: "You must meet the contract for this round first.",
+  OWN_MELD: "You cannot swap with your own meld.",
+  NO_WILD_CARD: "The meld does not have a wild card."
+};
+
+/**
+ *
+ * meldError
+ * Creates the GameError for a reason a meld was rejected.
+ * @param {string} reason - the reason the meld was rejected (see meldErrors).
+ * @return {GameError} returns the error.
+ *
+ */
+function meldError(reason) {
+  return new GameError(reason, meldErrors[reason]);
+}
+
+/**
+ *
+ * getOptions
+ * Resolves the options of a game.  Missing options are set to their default and
+ * unknown options are ignored.  Throws a GameError if an option is invalid.
+ * @param {object} options - game options.
+ * @return {object} returns the complete options of the game.
+ *
+ */
+function getOptions(options) {
+  options = { ...defaultOptions, ...options };
+  const { jokers, jokerValue, wilds, aces, minMeldLength, maxWilds } = options;
+  if (!Number.isInteger(jokers) || jokers < 0 || jokers > 4)
+    throw new GameError(
+      "INVALID_OPTIONS",
+      "The number of jokers per deck must be between 0 and 4."
+    );
+  if (!Number.isInteger(jokerValue) || jokerValue < 0)
+    throw new GameError(
+      "INVALID_OPTIONS",
+      "The value of a joker must be a positive number."
+    );
+  if (!wildOptions.includes(wilds))
+    throw new GameError(
+      "INVALID_OPTIONS",
+      `Wild cards must be one of ${wildOptions.join(", ")}.`
+    );
+  if (!aceOptions.includes(aces))
+    throw new GameError(
+      "INVALID_OPTIONS",
+      `Aces must be one of ${aceOptions.join(", ")}.`
+    );
+  if (!Number.isInteger(minMeldLength) || minMeldLength < 3)
+    throw new GameError(
+      "INVALID_OPTIONS",
+      "The minimum length of a meld must be 3 or more."
+    );
+  if (maxWilds !== "NATURALS" && (!Number.isInteger(maxWilds) || maxWilds < 0))
+    throw new GameError(
+      "INVALID_OPTIONS",
+      "The maximum number of wild cards must be a number or NATURALS."
+    );
+  return {
+    contracts: getContracts(options.contracts),
+    jokers,
+    jokerValue,
+    wilds,
+    aces,
+    minMeldLength,
+    maxWilds
+  };
+}
 
 /** Class representing a single meld. */
 class Meld {
@@ -196,20 +560,20 @@ class Meld {
    * @param {number} id - The id of the meld.
    * @param {array} cards - Array of card objects to use to create meld.
    * @param {string} player - They player id to associate the meld to.
+   * @param {object} rules - The options of the game the meld belongs to.
    *
    */
-  constructor(id, cards, player = null) {
+  constructor(id, cards, player = null, rules = defaultOptions) {
     /**
      * determine if the meld is a set of cards or a run / straight
      * in some cases when utilizing multiple wild cards it can be EITHER
-     * if it satisfy either requirements throw an invalid meld error
+     * if it satisfy neither requirements throw an invalid meld error
      */
-    const run = Meld.isRun([...cards]) ? "RUN" : false;
-    const set = Meld.isSet([...cards]) ? "SET" : false;
-    if (!run && !set) throw new Error("Invalid Meld");
+    const { type, reason } = Meld.validate(cards, rules);
+    if (reason) throw meldError(reason);
     this.id = id;
-    this.cards = cards;
-    this.type = run && set ? "EITHER" : run || set;
+    this.type = type;
+    this.cards = Meld.sortCards(cards, this.type, rules);
     this.playerID = player ? player.id : null;
   }
 
@@ -218,77 +582,141 @@ class Meld {
    * addCard
    * Adds a card to the calling meld instance.  Attemps to make a new meld with the
    * additional card.  If it succeeds the meld is valid and the card can be added to
-   * the original meld.
+   * the original meld.  Otherwise a GameError with the reason is thrown.
    *
    * @param {Card} card - card object.
-   * @return {boolean} whether the card was added or not.
+   * @param {object} rules - The options of the game the meld belongs to.
+   * @return {boolean} returns true once the card was added.
    *
    */
-  addCard(card) {
+  addCard(card, rules = defaultOptions) {
     let newCards = [...this.cards, card];
-    try {
-      const m = new Meld(null, newCards);
-      this.cards.push(card);
-      this.cards.sort((a, b) => a.order - b.order);
-      return true;
-    } catch (e) {
-      return false;
-    }
+    const m = new Meld(null, newCards, null, rules);
+    this.cards = m.cards;
+    this.type = m.type;
+    return true;
   }
 
   /**
    *
    * swap
-   * Swaps a card with a wildcard (2) in the meld. Can only swap with a card
-   * that keeps the meld valid.
+   * Swaps a card with a wild card in the meld. Can only swap with a card
+   * that keeps the meld valid.  Otherwise a GameError with the reason is thrown.
    *
    * @param {Card} meldCard - card object.
    * @param {Card} playerCard - card object.
-   * @return {boolean} returns true if the swap was succesful, false otherwise.
+   * @param {object} rules - The options of the game the meld belongs to.
+   * @return {boolean} returns true once the swap was succesful.
    *
    */
-  swap(meldCard, playerCard) {
+  swap(meldCard, playerCard, rules = defaultOptions) {
     // create a new meld with the replacement card
     // if the meld is valid we can replace the original meld meldCard with playerCard and return true
     let testMeld = [playerCard];
     for (let card of this.cards)
       if (card.id !== meldCard.id) testMeld.push(card);
-    try {
-      const m = new Meld(null, testMeld);
-      // if m was created without error we can swap the cards
-      for (let i = 0; i < this.cards.length; i++) {
-        if (this.cards[i].id === meldCard.id) {
-          this.cards.splice(i, 1, playerCard);
-          break;
-        }
-      }
-      this.cards.sort((a, b) => a.order - b.order);
-      return true;
-    } catch (e) {
-      return false;
-    }
+    const m = new Meld(null, testMeld, null, rules);
+    // if m was created without error we can swap the cards
+    this.cards = m.cards;
+    this.type = m.type;
+    return true;
+  }
+
+  /**
+   *
+   * fromJSON
+   * Creates a meld from its serialized form.  The meld was validated when it was
+   * created so it is restored as is.
+   * @param {object} data - serialized meld.
+   * @param {function} getCard - returns the Card object for a serialized card.
+   * @return {Meld} returns the meld.
+   *
+   */
+  static fromJSON(data, getCard) {
+    const meld = Object.create(Meld.prototype);
+    meld.id = data.id;
+    meld.cards = data.cards.map(getCard);
+    meld.type = data.type;
+    meld.playerID = data.playerID;
+    return meld;
+  }
+
+  /**
+   *
+   * validate
+   * Checks every rule a meld must follow.  A meld has at least the minimum number of
+   * cards, uses each card once, has at least one natural card and no more wild cards
+   * than allowed, and is a valid set, a valid run or both.
+   *
+   * @param {array} cards - Array of card object.
+   * @param {object} rules - The options of the game the meld belongs to.
+   * @return {object} returns the meld type (SET, RUN or EITHER) and the reason the meld
+   * is invalid (see meldErrors) or null if it is valid.
+   *
+   */
+  static validate(cards, rules = defaultOptions) {
+    if (new Set(cards.map(card => card.id)).size !== cards.length)
+      return { type: null, reason: "DUPLICATE_CARD" };
+    if (cards.length < rules.minMeldLength)
+      return { type: null, reason: "TOO_SHORT" };
+    const naturals = cards.filter(card => !Meld.isWild(card, rules));
+    const wilds = cards.length - naturals.length;
+    const maxWilds =
+      rules.maxWilds === "NATURALS" ? naturals.length : rules.maxWilds;
+    if (!naturals.length || wilds > maxWilds)
+      return { type: null, reason: "TOO_MANY_WILDS" };
+    const run = Meld.isRun([...cards], rules);
+    const set = Meld.isSet([...cards], rules);
+    if (run || set)
+      return {
+        type: run && set ? "EITHER" : run ? "RUN" : "SET",
+        reason: null
+      };
+    return {
+      type: null,
+      reason: naturals.some(card => card.suit !== naturals[0].suit)
+        ? "MIXED_SUITS"
+        : "NOT_CONSECUTIVE"
+    };
+  }
+
+  /**
+   *
+   * isWild
+   * Checks whether a card is a wild card.  Jokers are always wild, twos are wild
+   * unless the game only uses jokers as wild cards.
+   *
+   * @param {Card} card - card object.
+   * @param {object} rules - The options of the game the card belongs to.
+   * @return {boolean} return true if the card is wild, false otherwise.
+   *
+   */
+  static isWild(card, rules = defaultOptions) {
+    if (card.rank === joker) return true;
+    return rules.wilds === "JOKERS_AND_TWOS" && card.rank === "2";
   }
 
   /**
    *
    * isSet
    * checks whether a meld is a valid set.  A valid set is a group of 3+ cards
-   * with the order (ex. [A,A,A], [4,4,4,4,4]) regardless of suit.  A 2 card
-   * is a wild card and can take the place of any card.
+   * with the order (ex. [A,A,A], [4,4,4,4,4]) regardless of suit.  A wild card
+   * can take the place of any card.
    *
    * @param {array} cards - Array of card object.
+   * @param {object} rules - The options of the game the meld belongs to.
    * @return {boolean} return true if the meld is a valid set, false otherwise.
    *
    */
-  static isSet(cards) {
+  static isSet(cards, rules = defaultOptions) {
     let val = 0;
     for (let card of cards) {
-      // cards with value 2 are wild cards and can complete any set
-      if (card.order === 2) continue;
+      // wild cards can complete any set
+      if (Meld.isWild(card, rules)) continue;
       // if we haven't set a value for val - set it
       // val becomes the card we are looking for to verify the set
       if (!val) val = card.order;
-      // all cards without a value of 2 must be equal - return false if this is not the case
+      // all cards that are not wild must be equal - return false if this is not the case
       else if (val !== card.order) return false;
     }
     // return true if we the set is verified
@@ -302,31 +730,174 @@ class Meld {
    * with the same suit that where cards have consecutive rank values.
    *
    * @param {array} cards - Array of card object.
+   * @param {object} rules - The options of the game the meld belongs to.
    * @return {boolean} return true if the meld is a valid set, false otherwise.
    *
    */
-  static isRun(cards) {
-    // count the number of 2's / wild cards
-    cards.sort((a, b) => a.order - b.order);
-    const wildCards = [];
-    for (let i = cards.length - 1; i >= 0; i--) {
-      if (cards[i].order === 2) wildCards.push(...cards.splice(i, 1));
-    }
+  static isRun(cards, rules = defaultOptions) {
+    return Meld.arrangeRun(cards, rules) !== null;
+  }
+
+  /**
+   *
+   * arrangeRun
+   * Attempts to lay out cards as a run.  Cards that are not wild must share a suit and
+   * have different ranks that all fit within a single stretch of consecutive ranks as
+   * long as the meld.  Wild cards fill the gaps and any left over wild cards extend the
+   * run, upwards first.  Whether an ace can follow a king, and whether the run can turn
+   * the corner from king to two, depends on the aces option of the game.
+   *
+   * @param {array} cards - Array of card object.
+   * @param {object} rules - The options of the game the meld belongs to.
+   * @return {array} returns the cards in run order, null if they do not form a run.
+   *
+   */
+  static arrangeRun(cards, rules = defaultOptions) {
+    const wildCards = cards.filter(card => Meld.isWild(card, rules));
+    const naturals = cards.filter(card => !Meld.isWild(card, rules));
     // make sure all cards in the straight are the same suit
-    for (let i = 1; i < cards.length; i++)
-      if (cards[i - 1].suit !== cards[i].suit) return false;
-    let val = 0;
-    let i = 1;
-    if (cards.length) val = cards[0].order + 1;
-    while (i < cards.length) {
-      if (cards[i].order !== val && !wildCards.length) return false;
-      if (cards[i].order !== val && wildCards.length)
-        cards.splice(i, 0, wildCards.pop());
-      i++;
-      val++;
+    for (let i = 1; i < naturals.length; i++)
+      if (naturals[i - 1].suit !== naturals[i].suit) return null;
+    const wrap = rules.aces === "WRAP";
+    // highest rank a run can reach - an ace above a king counts as 14
+    const top = rules.aces === "HIGH" ? 14 : 13;
+    if (cards.length > (wrap ? 13 : top)) return null;
+    // every way of ranking the cards - an ace is either low or high
+    let rankings = [[]];
+    for (let card of naturals) {
+      const ranks =
+        card.order === 1 && rules.aces === "HIGH" ? [1, 14] : [card.order];
+      rankings = [].concat(
+        ...rankings.map(r => ranks.map(rank => [...r, rank]))
+      );
     }
-    if (wildCards.length) cards.push(...wildCards);
-    return true;
+    for (let ranking of rankings) {
+      if (new Set(ranking).size !== ranking.length) continue;
+      // find the rank the run starts at
+      let start = null;
+      if (!ranking.length) start = 1;
+      else if (wrap) {
+        // try starting the run at each card - ranks wrap around after the king
+        start = ranking.find(first =>
+          ranking.every(rank => (rank - first + 13) % 13 < cards.length)
+        );
+        if (start === undefined) continue;
+      } else {
+        const low = Math.min(...ranking);
+        if (Math.max(...ranking) - low >= cards.length) continue;
+        start = Math.min(low, top - cards.length + 1);
+      }
+      // place each card at its position in the run and fill the gaps with wild cards
+      const run = new Array(cards.length).fill(null);
+      naturals.forEach((card, i) => {
+        run[wrap ? (ranking[i] - start + 13) % 13 : ranking[i] - start] = card;
+      });
+      let w = 0;
+      return run.map(card => card || wildCards[w++]);
+    }
+    return null;
+  }
+
+  /**
+   *
+   * sortCards
+   * Orders the cards of a meld for display.  Runs are shown in run order with their
+   * wild cards in place, sets are shown by rank followed by their wild cards.
+   *
+   * @param {array} cards - Array of card object.
+   * @param {string} type - The meld type (SET, RUN or EITHER).
+   * @param {object} rules - The options of the game the meld belongs to.
+   * @return {array} returns the sorted cards.
+   *
+   */
+  static sortCards(cards, type, rules = defaultOptions) {
+    if (type !== "SET") return Meld.arrangeRun(cards, rules);
+    return [
+      ...cards
+        .filter(card => !Meld.isWild(card, rules))
+        .sort((a, b) => a.order - b.order),
+      ...cards.filter(card => Meld.isWild(card, rules))
+    ];
+  }
+
+  /**
+   *
+   * setCandidates
+   * Finds every group of natural cards of the same rank that can become a set.  A large
+   * group can also be split so the same rank can make up more than one set.
+   *
+   * @param {array} naturals - Array of natural card objects.
+   * @param {number} length - Minimum length of the set.
+   * @return {array} returns objects with the cards and the number of wild cards needed.
+   *
+   */
+  static setCandidates(naturals, length) {
+    const byRank = {};
+    for (let card of naturals)
+      (byRank[card.rank] = byRank[card.rank] || []).push(card);
+    const candidates = [];
+    for (let cards of Object.values(byRank)) {
+      candidates.push({ cards, wilds: Math.max(0, length - cards.length) });
+      // the lowest and highest part of the group do not overlap
+      for (let k = cards.length - 1; k > 0; k--) {
+        const wilds = Math.max(0, length - k);
+        candidates.push({ cards: cards.slice(0, k), wilds });
+        candidates.push({ cards: cards.slice(cards.length - k), wilds });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   *
+   * runCandidates
+   * Finds every stretch of natural cards of one suit that can become a run.  Gaps
+   * in the stretch and any missing length are filled with wild cards.  An ace also
+   * counts as the card above a king unless aces are only low, around the corner every
+   * rank also continues after the king.  A rank held twice gives a stretch for each
+   * copy so the copies can make up different runs.
+   *
+   * @param {array} naturals - Array of natural card objects.
+   * @param {number} length - Minimum length of the run.
+   * @param {object} rules - The options of the game the cards belong to.
+   * @return {array} returns objects with the cards and the number of wild cards needed.
+   *
+   */
+  static runCandidates(naturals, length, rules = defaultOptions) {
+    const candidates = new Map();
+    const bySuit = {};
+    for (let card of naturals) {
+      const suit = (bySuit[card.suit] = bySuit[card.suit] || new Map());
+      const add = rank => suit.set(rank, [...(suit.get(rank) || []), card]);
+      add(card.order);
+      if (rules.aces === "WRAP") add(card.order + 13);
+      else if (card.order === 1 && rules.aces === "HIGH") add(14);
+    }
+    for (let suit of Object.values(bySuit)) {
+      const ranked = [...suit.entries()].sort((a, b) => a[0] - b[0]);
+      for (let i = 0; i < ranked.length; i++) {
+        for (let j = i; j < ranked.length; j++) {
+          const span = ranked[j][0] - ranked[i][0] + 1;
+          // a run covers every rank of a suit at most once
+          if (span > 13) break;
+          const copies = ranked.slice(i, j + 1).map(([rank, cards]) => cards);
+          // the first and the last copy of each rank
+          for (let pick of [0, 1]) {
+            const cards = copies.map(c => (pick ? c[c.length - 1] : c[0]));
+            if (new Set(cards).size !== cards.length) continue;
+            const wilds = Math.max(span, length) - cards.length;
+            // the same cards can be reached from both sides of the corner
+            const key = cards
+              .map(card => card.id)
+              .sort((a, b) => a - b)
+              .join();
+            if (!candidates.has(key) || candidates.get(key).wilds > wilds)
+              candidates.set(key, { cards, wilds });
+          }
+        }
+      }
+    }
+    return [...candidates.values()];
   }
 }
 
@@ -351,6 +922,7 @@ class Player {
     this.buys = 6;
     this.points = 0;
     this.hand = [];
+    this.forfeited = false;
   }
 
   /**
@@ -397,21 +969,235 @@ class Player {
   setPlayerId(pid = null) {
     this.id = pid;
   }
+
+  /**
+   *
+   * fromJSON
+   * Creates a player from its serialized form.
+   * @param {object} data - serialized player.
+   * @param {function} getCard - returns the Card object for a serialized card.
+   * @return {Player} returns the player.
+   *
+   */
+  static fromJSON(data, getCard) {
+    const player = new Player(data.id, data.socketId, data.name);
+    player.buys = data.buys;
+    player.points = data.points;
+    player.hand = data.hand.map(getCard);
+    player.forfeited = data.forfeited === true;
+    return player;
+  }
 }
 
 /** Class representing a MayI Game */
 class MayI {
   /**
    * Create a MayI Game object
+   * @param {object} options - game options (see defaultOptions)
    */
-  constructor() {
-    this.players = {}; /** all game players */
+  constructor(options = {}) {
+    this.options = getOptions(options); /** rules of the game */
+    this.players = Object.create(null); /** all game players */
     this.connectedPlayerCount = 0; /** number of active connections */
     this.deck = null; /** deck object for the game */
     this.round = 1; /** current game roundMeld */
     this.turn = 0; /** current turn */
     this.turnOrder = []; /** the turn order of the game */
     this.melds = []; /** all active melds for the current round */
+    this.phase = null; /** phase of the current turn */
+    this.seed = null; /** seed of the random number generator used to shuffle */
+    this.random = null; /** random number generator used to shuffle */
+    this.log = []; /** ordered log of every state changing action */
+    this.record("create", { options: this.options });
+  }
+
+  /**
+   *
+   * record
+   * Appends a state changing action to the game log.  Cards are recorded by id.
+   * @param {string} type - the type of action (deal, draw, buy, meld ...)
+   * @param {object} data - details of the action
+   *
+   */
+  record(type, data = {}) {
+    this.log.push({ type, ...data, time: Date.now() });
+  }
+
+  /**
+   *
+   * toJSON
+   * Serializes the entire game including the state of its random number generator.
+   * @return {object} returns the serialized game
+   *
+   */
+  toJSON() {
+    return {
+      options: this.options,
+      players: this.players,
+      connectedPlayerCount: this.connectedPlayerCount,
+      deck: this.deck,
+      round: this.round,
+      turn: this.turn,
+      turnOrder: this.turnOrder,
+      melds: this.melds,
+      phase: this.phase,
+      seed: this.seed,
+      randomState: this.random ? this.random.getState() : null,
+      log: this.log
+    };
+  }
+
+  /**
+   *
+   * fromJSON
+   * Creates a game from its serialized form.  Every card is restored as a single Card
+   * object no matter how many times it appears in the serialized game.
+   * @param {object} data - serialized game
+   * @return {MayI} returns the game
+   *
+   */
+  static fromJSON(data) {
+    const cards = new Map();
+    const getCard = card => {
+      if (!cards.has(card.id)) cards.set(card.id, Card.fromJSON(card));
+      return cards.get(card.id);
+    };
+    const game = new MayI(data.options);
+    for (let id in data.players)
+      game.players[id] = Player.fromJSON(data.players[id], getCard);
+    game.connectedPlayerCount = data.connectedPlayerCount;
+    game.round = data.round;
+    game.turn = data.turn;
+    game.turnOrder = data.turnOrder;
+    game.melds = data.melds.map(meld => Meld.fromJSON(meld, getCard));
+    game.phase = data.phase;
+    game.seed = data.seed;
+    if (data.randomState !== null) game.random = seededRandom(data.randomState);
+    if (data.deck)
+      game.deck = Deck.fromJSON(data.deck, getCard, game.random || Math.random);
+    game.log = data.log;
+    return game;
+  }
+
+  /**
+   *
+   * applyLogEntry
+   * Performs the action described by a single log entry.  Entries that are only
+   * ever produced as a side effect of another action (reshuffle) cannot be applied.
+   * @param {object} entry - log entry
+   *
+   */
+  applyLogEntry(entry) {
+    switch (entry.type) {
+      case "join":
+        return this.addPlayer(entry.player, null, entry.name);
+      case "reconnect":
+        return this.reconnect(entry.player, entry.newPlayer, null);
+      case "leave":
+        return this.removePlayer(entry.player);
+      case "forfeit":
+        return this.forfeit(entry.player);
+      case "deal":
+        return this.deal(entry.seed);
+      case "draw":
+        return this.draw(entry.player);
+      case "buy":
+        return this.buy(entry.player);
+      case "endBuyPhase":
+        return this.endBuyPhase();
+      case "meld":
+        return this.meld(entry.player, entry.melds);
+      case "layOff":
+        return this.addToMeld(entry.player, entry.card, entry.meld);
+      case "swap":
+        return this.swapWithMeld(entry.player, entry.card, entry.meld);
+      case "discard":
+        return this.discard(entry.player, entry.card);
+      case "autoDiscard":
+        return this.discard(entry.player, entry.card, true);
+      case "roundEnd":
+        return this.endRound();
+      default:
+        throw new Error(`Cannot apply log entry of type ${entry.type}.`);
+    }
+  }
+
+  /**
+   *
+   * replay
+   * Rebuilds a game from its log.  The game is created with the options of the first
+   * entry of the log.  Actions are then applied in order through the regular
+   * game methods.  Side effects such as reshuffles and the deal that follows the end
+   * of a round are not applied but regenerated, and every regenerated entry must match
+   * the recorded one.  Players are replayed without socket connections.
+   *
+   * @param {array} log - the log of a game
+   * @param {number} step - number of log entries to replay (default = entire log)
+   * @return {MayI} returns the rebuilt game
+   *
+   */
+  static replay(log, step = log.length) {
+    const game = new MayI(log[0].options);
+    const strip = ({ time, ...entry }) => JSON.stringify(entry);
+    while (game.log.length < step) {
+      const start = game.log.length;
+      game.applyLogEntry(log[start]);
+      if (game.log.length === start)
+        throw new Error(`Replay failed to apply log entry ${start}.`);
+      for (let i = start; i < game.log.length; i++) {
+        if (!log[i] || strip(log[i]) !== strip(game.log[i]))
+          throw new Error(`Replay diverged from the log at entry ${i}.`);
+      }
+    }
+    return game;
+  }
+
+  /**
+   *
+   * checkPhase
+   * Throws a GameError if the current turn is not in one of the allowed phases.
+   * @param {...string} allowed - phases in which the action is allowed
+   *
+   */
+  checkPhase(...allowed) {
+    if (!allowed.includes(this.phase))
+      throw new GameError(
+        "WRONG_PHASE",
+        `That action is not allowed during the ${this.phase} phase.`
+      );
+  }
+
+  /**
+   *
+   * checkTurn
+   * Throws a GameError if it is not the players turn or if the current turn is
+   * not in one of the allowed phases.
+   * @param {string} player - player id
+   * @param {...string} allowed - phases in which the action is allowed
+   *
+   */
+  checkTurn(player, ...allowed) {
+    if (!this.players[player])
+      throw new GameError(
+        "UNKNOWN_PLAYER",
+        `Player ${player} is not in this game.`
+      );
+    if (this.turnOrder[this.turn] !== player)
+      throw new GameError("OUT_OF_TURN", "It is not your turn.");
+    this.checkPhase(...allowed);
+  }
+
+  /**
+   *
+   * updatePlayPhase
+   * Called after a player melds or lays off.  A player left with a single card
+   * can no longer meld or lay off and must discard.
+   * @param {string} player - player id
+   *
+   */
+  updatePlayPhase(player) {
+    this.phase =
+      this.players[player].hand.length > 1 ? phases.PLAY : phases.DISCARD;
   }
 
   /**
@@ -433,15 +1219,18 @@ class MayI {
    * reconnect
    * Called when a player reconnects to an active game after losing connection.
    * Sets new pid and sid, updates the new player object and deletes the old player.
-   * updates the turnOrder id's and any meld id to associate it with the newly connected player
+   * updates the turnOrder id's and any meld id to associate it with the newly connected player.
+   * A player reconnecting with the same id keeps their player object.
    * @param {string} player - current player id
    * @param {string} pid - new player id
    * @param {string} sid - new socket id
    */
   reconnect(player, pid, sid) {
+    this.record("reconnect", { player, newPlayer: pid });
     this.players[player].setPlayerId(pid);
     this.players[player].setSocketId(sid);
     this.connectedPlayerCount++;
+    if (pid === player) return;
     this.players[pid] = this.players[player];
     delete this.players[player];
     this.turnOrder[this.turnOrder.indexOf(player)] = pid;
@@ -451,6 +1240,58 @@ class MayI {
     });
   }
 
+  /**
+   *
+   * forfeit
+   * Removes a player from the rest of the game.  The cards in their hand are shuffled
+   * back into the deck and their melds stay on the table.  The player leaves the turn
+   * order but keeps their points.  When it was their turn the next player takes over the
+   * buy phase if the top discard was still up for buying and otherwise starts their turn
+   * by drawing.  The game ends once fewer than minPlayers players are left.
+   * @param {string} player - player id
+   *
+   */
+  forfeit(player) {
+    if (!this.players[player] || this.players[player].forfeited)
+      throw new GameError(
+        "UNKNOWN_PLAYER",
+        `Player ${player} is not in this game.`
+      );
+    this.record("forfeit", { player });
+    const forfeiting = this.players[player];
+    if (forfeiting.socketId !== null) this.disconnect(player);
+    forfeiting.forfeited = true;
+    if (this.deck && forfeiting.hand.length) {
+      this.deck.deck = [...this.deck.deck, ...forfeiting.hand];
+      this.deck.shuffle();
+    }
+    forfeiting.hand = [];
+    const index = this.turnOrder.indexOf(player);
+    this.turnOrder.splice(index, 1);
+    if (index < this.turn) this.turn--;
+    else if (index === this.turn) {
+      if (this.turn === this.turnOrder.length) this.turn = 0;
+      // the top discard was already offered unless the buy phase was still open
+      if (this.deck && this.phase !== phases.BUY) this.phase = phases.DRAW;
+    }
+    if (this.deck && !this.isGameOver() && this.turnOrder.length < minPlayers)
+      this.endGame();
+  }
+
+  /**
+   *
+   * endGame
+   * Ends the game before every round has been played.  The current round is not
+   * scored, the hands and melds are cleared and no round is dealt anymore.
+   *
+   */
+  endGame() {
+    this.record("gameEnd", { round: this.round });
+    for (let id in this.players) this.players[id].hand = [];
+    this.melds = [];
+    this.round = this.options.contracts.length + 1;
+  }
+
   /**
    *
    * incrementTurn
@@ -458,7 +1299,7 @@ class MayI {
    *
    */
   incrementTurn() {
-    const numberOfPlayers = Object.keys(this.players).length;
+    const numberOfPlayers = this.turnOrder.length;
     if (this.turn === numberOfPlayers - 1) this.turn = 0;
     else this.turn += 1;
   }
@@ -474,59 +1315,207 @@ class MayI {
    */
   addPlayer(id, socketId, name) {
     if (!this.players[id]) {
+      this.record("join", { player: id, name });
       this.players[id] = new Player(id, socketId, name);
       this.turnOrder.push(id);
       this.connectedPlayerCount++;
     }
   }
 
+  /**
+   *
+   * removePlayer
+   * Removes a player from a game that has not been dealt yet.  Once the game has been
+   * dealt a player can only forfeit.
+   * @param {string} player - player id
+   *
+   */
+  removePlayer(player) {
+    if (!this.players[player])
+      throw new GameError(
+        "UNKNOWN_PLAYER",
+        `Player ${player} is not in this game.`
+      );
+    if (this.deck)
+      throw new GameError(
+        "GAME_STARTED",
+        "Players cannot leave a game that has been dealt."
+      );
+    this.record("leave", { player });
+    if (this.players[player].socketId !== null) this.connectedPlayerCount--;
+    delete this.players[player];
+    this.turnOrder.splice(this.turnOrder.indexOf(player), 1);
+  }
+
   /**
    *
    * deal
-   * Deals 11 cards to each player in the game.  Discards one card into the discard pile.
+   * Deals 11 cards to each player in the game.  Discards one card into the discard pile
+   * and opens the buy phase for the first turn.  Every shuffle in the game is driven by
+   * a random number generator created from the game seed so a game can be reproduced
+   * deal for deal.  A random seed is picked if none was provided.  The initial order of
+   * the deck is recorded in the game log.
+   * @param {number} seed - seed for the random number generator (optional)
    *
    */
-  deal() {
-    this.deck = new Deck(suits, ranks, values, 2, true);
-    for (let i = 0; i < 11; i++) {
+  deal(seed = null) {
+    const dealtPlayers = Object.values(this.players).filter(
+      ({ forfeited }) => !forfeited
+    ).length;
+    if (dealtPlayers > maxPlayers)
+      throw new GameError(
+        "TOO_MANY_PLAYERS",
+        `The deck can only be dealt to ${maxPlayers} players.`
+      );
+    if (seed !== null || !this.random) {
+      this.seed =
+        seed !== null ? seed >>> 0 : Math.floor(Math.random() * 2 ** 32);
+      this.random = seededRandom(this.seed);
+    }
+    const deckValues = new Map([...values, [joker, this.options.jokerValue]]);
+    // a two that is not wild is worth its face value
+    if (this.options.wilds === "JOKERS") deckValues.set("2", 2);
+    this.deck = new Deck(
+      suits,
+      ranks,
+      deckValues,
+      2,
+      true,
+      this.random,
+      this.options.jokers
+    );
+    this.record("deal", {
+      round: this.round,
+      seed: this.seed,
+      deck: this.deck.deck.map(card => card.id)
+    });
+    for (let i = 0; i < handSize; i++) {
       for (let player in this.players) {
+        if (this.players[player].forfeited) continue;
         this.players[player].hand.push(this.deck.drawCard());
       }
     }
     this.deck.discardCard(this.deck.drawCard()); // discard first card
+    this.phase = phases.BUY;
+  }
+
+  /**
+   *
+   * refillDeck
+   * Rebuilds an empty deck from the discard pile, keeping the top discard face up.
+   * @return {boolean} returns true if the deck was rebuilt, false otherwise.
+   *
+   */
+  refillDeck() {
+    if (this.deck.deck.length || !this.deck.canReDeck()) return false;
+    this.deck.reDeck();
+    this.record("reshuffle", { deck: this.deck.deck.map(card => card.id) });
+    return true;
+  }
+
+  /**
+   *
+   * drawCards
+   * Moves cards from the deck into a players hand.  Whenever a draw empties the deck
+   * it is rebuilt from the discard pile.  If both the deck and the discard pile run
+   * out of cards the round ends.
+   * @param {string} player - player id
+   * @param {number} qty - number of cards to draw
+   * @return {object} returns whether the deck was reshuffled and whether the round ended
+   *
+   */
+  drawCards(player, qty) {
+    const result = { reshuffled: false, roundOver: false };
+    for (let i = 0; i < qty; i++) {
+      if (this.refillDeck()) result.reshuffled = true;
+      if (!this.deck.deck.length) {
+        this.endRound();
+        result.roundOver = true;
+        break;
+      }
+      this.players[player].addCard(this.deck.drawCard());
+      if (this.refillDeck()) result.reshuffled = true;
+    }
+    return result;
   }
 
   /**
    *
    * draw
-   * Removes a card from the deck and places it into the players hand.
+   * Removes a card from the deck and places it into the players hand.  Only the
+   * player whos turn it is may draw and only once per turn.
    * @param {string} player - player id
    * @param {string} qty - number of cards to draw
+   * @return {object} returns whether the deck was reshuffled and whether the round ended
    *
    */
   draw(player, qty = 1) {
-    for (let i = 0; i < qty; i++)
-      this.players[player].hand.push(this.deck.drawCard());
+    this.checkTurn(player, phases.DRAW);
+    this.record("draw", { player });
+    const result = this.drawCards(player, qty);
+    if (!result.roundOver) this.phase = phases.PLAY;
+    return result;
+  }
+
+  /**
+   *
+   * getCardsFromHand
+   * Looks up cards in a players hand by their id.  Every id must belong to a card
+   * the player currently holds and may only be used once.  Throws a GameError
+   * otherwise.
+   *
+   * @param {string} player - player id
+   * @param {array} cardIDs - An array of card ids
+   * @return {array} returns the matching Card objects from the players hand
+   *
+   */
+  getCardsFromHand(player, cardIDs) {
+    if (!this.players[player])
+      throw new GameError(
+        "UNKNOWN_PLAYER",
+        `Player ${player} is not in this game.`
+      );
+    if (!Array.isArray(cardIDs) || !cardIDs.length)
+      throw new GameError("NO_CARDS", "No cards were provided.");
+    const cards = [];
+    for (let id of cardIDs) {
+      const card = this.players[player].hand.find(c => c.id === Number(id));
+      if (!card)
+        throw new GameError(
+          "CARD_NOT_IN_HAND",
+          `Card ${id} is not in your hand.`
+        );
+      if (cards.includes(card))
+        throw new GameError(
+          "DUPLICATE_CARD",
+          `Card ${id} was used more than once.`
+        );
+      cards.push(card);
+    }
+    return cards;
   }
 
   /**
    *
    * discard
    * Discard a card from a players hand.  Allows a player whos turn it is to
-   * discard a card.  Increments "turn" once a player has successfully discarded a card.
+   * discard a card after drawing.  Increments "turn" once a player has successfully
+   * discarded a card and opens the buy phase for the discarded card.
    *
    * @param {string} player - player id
-   * @param {Card} card - card object to discard
+   * @param {number} cardID - id of the card to discard
+   * @param {boolean} auto - whether the server discarded for the player (default = false)
    * @return {boolean} returns true on successful completion
    *
    */
-  discard(player, card) {
-    if (this.turnOrder[this.turn] !== player) return;
-    for (let i = 0; i < this.players[player].hand.length; i++)
-      if (this.players[player].hand[i].id === card.id)
-        this.players[player].hand.splice(i, 1);
+  discard(player, cardID, auto = false) {
+    this.checkTurn(player, phases.PLAY, phases.DISCARD);
+    const [card] = this.getCardsFromHand(player, [cardID]);
+    this.record(auto ? "autoDiscard" : "discard", { player, card: card.id });
+    this.players[player].removeCard(card);
     this.deck.discardCard(card);
     if (!this.players[player].hand.length !== 0) this.incrementTurn();
+    this.phase = phases.BUY;
     return true;
   }
 
@@ -535,19 +1524,78 @@ class MayI {
    * endRound
    * Adds points to each players profile based on the value of each card in their hand
    * then clears their hand.  Increment round.  Clear current melds.  Deal next hand if
-   * round is not great than 6.
+   * the game has a contract for the next round.
    *
    */
   endRound() {
+    const points = Object.create(null);
     for (let id in this.players) {
+      points[id] = 0;
       for (let card of this.players[id].hand) {
-        this.players[id].points += card.value;
+        points[id] += card.value;
       }
+      this.players[id].points += points[id];
       this.players[id].hand = [];
     }
+    this.record("roundEnd", { round: this.round, points });
     this.round++;
     this.melds = [];
-    if (this.round <= 6) this.deal();
+    if (!this.isGameOver()) this.deal();
+  }
+
+  /**
+   *
+   * getContract
+   * Gets the contract of the current round.
+   * @return {object} returns the contract or undefined once the game is over
+   *
+   */
+  getContract() {
+    return this.options.contracts[this.round - 1];
+  }
+
+  /**
+   *
+   * isGameOver
+   * Checks whether every round of the game has been played or the game ended early.
+   * @return {boolean} returns true if the game is over, false otherwise
+   *
+   */
+  isGameOver() {
+    return this.round > this.options.contracts.length;
+  }
+
+  /**
+   *
+   * meetsContract
+   * Checks whether a group of melds satisfies the contract of the current round.
+   * The melds must contain exactly the required number of sets and runs, each at
+   * least as long as the contract requires.  A meld that is both a valid set and a
+   * valid run may count as either.
+   *
+   * @param {array} melds - An array of Meld objects
+   * @return {boolean} returns true if the contract is met, false otherwise
+   *
+   */
+  meetsContract(melds) {
+    const contract = this.getContract();
+    if (melds.length !== contract.sets + contract.runs) return false;
+    const fits = (meld, type) =>
+      (meld.type === type || meld.type === "EITHER") &&
+      meld.cards.length >=
+        (type === "SET" ? contract.setLength : contract.runLength);
+    // try every way of counting the melds as sets or runs
+    for (let mask = 0; mask < 1 << melds.length; mask++) {
+      let runs = 0;
+      let valid = true;
+      for (let i = 0; i < melds.length && valid; i++) {
+        const type = mask & (1 << i) ? "RUN" : "SET";
+        if (type === "RUN") runs++;
+        valid = fits(melds[i], type);
+      }
+      if (valid && runs === contract.runs) return true;
+    }
+    return false;
   }
 
   /**
@@ -578,75 +1626,93 @@ class MayI {
   /**
    *
    * buy
-   * Buy a recently discarded card. Players must have one or more buys left.
-   * Decrement number of buys.  Add discarded card to players hand. Draw an extra card
-   * because of the buy.
+   * Buy a recently discarded card during the buy phase. Players must have one or more
+   * buys left. Decrement number of buys.  Add discarded card to players hand. Draw an
+   * extra card because of the buy.
    *
    * @param {string} player - player id
+   * @return {object} returns whether the deck was reshuffled and whether the round ended
    *
    */
   buy(player) {
+    this.checkPhase(phases.BUY);
     if (this.players[player].buys === 0) return false;
+    this.record("buy", { player });
     this.players[player].buys -= 1;
     this.players[player].hand.push(this.deck.discarded.pop());
-    this.draw(player, 1);
+    return this.drawCards(player, 1);
+  }
+
+  /**
+   *
+   * endBuyPhase
+   * Closes the buy phase once all buy requests have been handled.  The current
+   * player must now draw.
+   *
+   */
+  endBuyPhase() {
+    if (this.phase !== phases.BUY) return;
+    this.record("endBuyPhase");
+    this.phase = phases.DRAW;
   }
 
   /**
    *
    * meld
-   * Attempts to create a meld. Check if meld(s) are valid - if not return false.
+   * Attempts to create a meld. Check if meld(s) are valid - if not throw a GameError
+   * with the reason (see meldErrors).
    * If the player has not already met the meld requirements for the round this
-   * meld must meet the those requirements.  If they have met the initial meld the
+   * meld must meet the those requirements (the round contract).  If they have met the initial meld the
    * player can meld any valid meld. A player must not meld cards resulting in an
-   * empty hand.
+   * empty hand.  Only the player whos turn it is may meld after drawing.
    *
    * @param {string} player - player id
-   * @param {array} newMelds - An array of arrays of Card objects
+   * @param {array} newMelds - An array of arrays of card ids
    * @return {boolean} returns true on successful meld
    *
    */
   meld(player, newMelds) {
-    try {
-      // for each meld attempt to create a meld object and save them in an array m
-      let m = [];
-      let sum = 0;
-      for (let i = 0; i < newMelds.length; i++) {
-        sum += newMelds[i].length;
-        m.push(
-          new Meld(this.melds.length + i, newMelds[i], this.players[player])
-        );
-      }
-      // check if melding will result in the player having 0 cards
-      if (sum === this.players[player].hand.length) return false;
-      // check to see if player already had their initial meld
-      // if a player doesn't have their meld the current meld must match
-      // the round meld requirements
-      if (!this.hasMeld(player)) {
-        let roundMeld = melds[this.round - 1];
-        // check if current array of melds is equal to the desired number of melds for the round
-        if (m.length !== roundMeld.sets) return false;
-        // for each meld check if the length of the meld at least equal to the desired for the round
-        for (let n of m) {
-          if (n.cards.length < roundMeld.length || n.type === "RUN") {
-            return false;
-          }
-        }
-      }
-      // remove cards from the players hand
-      for (let meld of newMelds) {
-        for (let card of meld) {
-          for (let i = 0; i < this.players[player].hand.length; i++)
-            if (this.players[player].hand[i].id === card.id)
-              this.players[player].hand.splice(i, 1);
-        }
-      }
-      // add melds to round meld
-      this.melds.push(...m);
-      return true;
-    } catch (e) {
-      return false;
+    this.checkTurn(player, phases.PLAY);
+    if (!Array.isArray(newMelds) || !newMelds.length)
+      throw new GameError("NO_CARDS", "No melds were provided.");
+    // resolve every id against the players hand - all ids together so a card
+    // cannot be used in more than one meld
+    this.getCardsFromHand(player, [].concat(...newMelds));
+    const meldCards = newMelds.map(ids => this.getCardsFromHand(player, ids));
+    // for each meld attempt to create a meld object and save them in an array m
+    let m = [];
+    let sum = 0;
+    for (let i = 0; i < meldCards.length; i++) {
+      sum += meldCards[i].length;
+      m.push(
+        new Meld(
+          this.melds.length + i,
+          meldCards[i],
+          this.players[player],
+          this.options
+        )
+      );
+    }
+    // check if melding will result in the player having 0 cards
+    if (sum === this.players[player].hand.length)
+      throw meldError("NO_CARDS_LEFT");
+    // check to see if player already had their initial meld
+    // if a player doesn't have their meld the current meld must match
+    // the round meld requirements
+    if (!this.hasMeld(player) && !this.meetsContract(m))
+      throw meldError("CONTRACT_NOT_MET");
+    // remove cards from the players hand
+    for (let meld of meldCards) {
+      for (let card of meld) this.players[player].removeCard(card);
     }
+    // add melds to round meld
+    this.record("meld", {
+      player,
+      melds: meldCards.map(meld => meld.map(card => card.id))
+    });
+    this.melds.push(...m);
+    this.updatePlayPhase(player);
+    return true;
   }
 
   /**
@@ -659,36 +1725,147 @@ class MayI {
    */
   isValidMeld(cards) {
     try {
-      let isValid = new Meld(-1, cards, null);
+      let isValid = new Meld(-1, cards, null, this.options);
       return true;
     } catch (e) {
       return false;
     }
   }
 
+  /**
+   *
+   * findLayDowns
+   * Looks for melds a player could lay down from their hand.  Until the player has
+   * melded the melds must meet the contract of the round, afterwards any single valid
+   * meld will do.  Sets and runs are tried from the groups of natural cards in the hand
+   * with wild cards filling what is missing.  Every lay down is checked with the same
+   * validation as meld and leaves at least one card in the hand.
+   *
+   * @param {string} player - player id
+   * @param {number} limit - maximum number of lay downs to find (default = 1)
+   * @return {array} returns the lay downs found, each an array of arrays of card ids
+   *
+   */
+  findLayDowns(player, limit = 1) {
+    const { minMeldLength } = this.options;
+    const hand = this.players[player].hand;
+    const wilds = hand.filter(card => Meld.isWild(card, this.options));
+    const naturals = hand.filter(card => !Meld.isWild(card, this.options));
+    let needed = ["ANY"];
+    let setLength = minMeldLength;
+    let runLength = minMeldLength;
+    if (!this.hasMeld(player)) {
+      const contract = this.getContract();
+      needed = [
+        ...new Array(contract.sets).fill("SET"),
+        ...new Array(contract.runs).fill("RUN")
+      ];
+      setLength = Math.max(contract.setLength, minMeldLength);
+      runLength = Math.max(contract.runLength, minMeldLength);
+    }
+    const sets = Meld.setCandidates(naturals, setLength);
+    const runs = Meld.runCandidates(naturals, runLength, this.options);
+    const candidates = { SET: sets, RUN: runs, ANY: [...sets, ...runs] };
+    const layDowns = [];
+    // pick a candidate for each meld needed - melds of the same type are picked in
+    // candidate order so each combination is only tried once
+    const search = (i, from, used, wildsLeft, melds) => {
+      if (layDowns.length >= limit) return;
+      if (i === needed.length) {
+        if (used.size + wilds.length - wildsLeft.length < hand.length)
+          layDowns.push(melds);
+        return;
+      }
+      const type = needed[i];
+      const list = candidates[type];
+      const start = i && needed[i - 1] === type ? from : 0;
+      for (let c = start; c < list.length; c++) {
+        const { cards, wilds } = list[c];
+        if (wilds > wildsLeft.length) continue;
+        if (cards.some(card => used.has(card.id))) continue;
+        const meld = [...cards, ...wildsLeft.slice(0, wilds)];
+        const result = Meld.validate(meld, this.options);
+        if (result.reason) continue;
+        if (type !== "ANY" && result.type !== type && result.type !== "EITHER")
+          continue;
+        search(
+          i + 1,
+          c + 1,
+          new Set([...used, ...cards.map(card => card.id)]),
+          wildsLeft.slice(wilds),
+          [...melds, meld.map(card => card.id)]
+        );
+      }
+    };
+    search(0, 0, new Set(), wilds, []);
+    return layDowns;
+  }
+
+  /**
+   *
+   * getHints
+   * Looks at the hand of a player and finds the moves the rules allow: melds they can
+   * lay down (see findLayDowns), cards they can add to the melds on the table and
+   * cards they can swap for a wild card of another players meld.  Cards can only be
+   * laid off and swapped once the player has melded.  Whose turn it is is not taken
+   * into account.
+   *
+   * @param {string} player - player id
+   * @return {object} returns the lay downs, lay offs ({cardID, meldID}) and swaps ({cardID, meldID})
+   *
+   */
+  getHints(player) {
+    if (!this.players[player])
+      throw new GameError(
+        "UNKNOWN_PLAYER",
+        `Player ${player} is not in this game.`
+      );
+    const hand = this.players[player].hand;
+    const hints = {
+      layDowns: this.findLayDowns(player, maxHints),
+      layOffs: [],
+      swaps: []
+    };
+    if (!this.hasMeld(player)) return hints;
+    for (let card of hand) {
+      for (let meld of this.melds) {
+        if (hand.length > 1 && this.isValidMeld([...meld.cards, card]))
+          hints.layOffs.push({ cardID: card.id, meldID: meld.id });
+        if (this.canSwapWithMeld(player, card.id, meld.id))
+          hints.swaps.push({ cardID: card.id, meldID: meld.id });
+      }
+    }
+    return hints;
+  }
+
   /**
    *
    * swapWithMeld
    * Swap a card in a players hand with a wild card on a meld.  If a player
-   * has a card that replaces a "2" in a meld the player can swap their card
-   * for the "2" at long as the meld remains valid.  The player must have
-   * already melded.  Players cannot swap with their own meld.
+   * has a card that replaces a wild card in a meld the player can swap their card
+   * for the wild card at long as the meld remains valid.  The player must have
+   * already melded and it must be their turn.  Players cannot swap with their own meld.
    *
    * @param {string} player - player id
-   * @param {Card} playerCard - card object
+   * @param {number} cardID - id of the card in the players hand
    * @param {number} meldId - id of meld to swap with
-   * @return {boolean} returns true if swap is successful, false otherwise
+   * @return {boolean} returns true if swap is successful, throws a GameError otherwise
    *
    */
-  swapWithMeld(player, playerCard, meldID) {
+  swapWithMeld(player, cardID, meldID) {
+    this.checkTurn(player, phases.PLAY);
+    const [playerCard] = this.getCardsFromHand(player, [cardID]);
     // if a player does not have his meld he cannot swap cards with any meld
-    if (!this.hasMeld(player)) return false;
+    if (!this.hasMeld(player)) throw meldError("NOT_MELDED");
     // swap card
-    let meld = this.melds.find(m => m.id === meldID);
-    let meldCard = meld.cards.find(card => card.order === 2);
+    let meld = this.getMeld(meldID);
+    if (meld.playerID === player) throw meldError("OWN_MELD");
+    let meldCard = meld.cards.find(card => Meld.isWild(card, this.options));
+    if (!meldCard) throw meldError("NO_WILD_CARD");
     // if the swap was successful remove playerCard from players hand
     // and add the meldCard to players hand
-    if (!meld.swap(meldCard, playerCard)) return false;
+    meld.swap(meldCard, playerCard, this.options);
+    this.record("swap", { player, card: playerCard.id, meld: meldID });
 
     for (let i = 0; i < this.players[player].hand.length; i++) {
       if (this.players[player].hand[i].id === playerCard.id) {
@@ -699,6 +1876,46 @@ class MayI {
     return true;
   }
 
+  /**
+   *
+   * canSwapWithMeld
+   * Checks whether a card in a players hand could replace a wild card of a meld.  The
+   * meld must contain a wild card, must remain valid after the swap and must NOT
+   * belong to the requesting player.
+   *
+   * @param {string} player - player id
+   * @param {number} cardID - id of the card in the players hand
+   * @param {number} meldID - id of meld to swap with
+   * @return {boolean} returns true if the swap is possible, false otherwise
+   *
+   */
+  canSwapWithMeld(player, cardID, meldID) {
+    const [card] = this.getCardsFromHand(player, [cardID]);
+    const meld = this.melds.find(m => m.id === meldID);
+    if (!meld || meld.playerID === player) return false;
+    const cards = [...meld.cards];
+    const idx = cards.findIndex(c => Meld.isWild(c, this.options));
+    if (idx === -1) return false;
+    cards.splice(idx, 1, card);
+    return this.isValidMeld(cards);
+  }
+
+  /**
+   *
+   * getMeld
+   * Finds a meld of the current round.  Throws a GameError if there is no such meld.
+   *
+   * @param {number} meldID - id of the meld
+   * @return {Meld} returns the meld
+   *
+   */
+  getMeld(meldID) {
+    const meld = this.melds.find(m => m.id === meldID);
+    if (!meld)
+      throw new GameError("UNKNOWN_MELD", `Meld ${meldID} does not exist.`);
+    return meld;
+  }
+
   /**
    *
    * hasMeld
@@ -716,22 +1933,25 @@ class MayI {
   /**
    *
    * addToMeld
-   * Add a card to a meld.  Player must have already melded and must be left
-   * with at least one card in their hand.
+   * Add a card to a meld during the players turn.  Player must have already melded
+   * and must be left with at least one card in their hand.
    *
    * @param {string} player - player id
-   * @param {Card} card - card object
-   * @param {number} meldId - id of meld to swap with
-   * @return {boolean} returns true if successful, false otherwise
+   * @param {number} cardID - id of the card in the players hand
+   * @param {number} meldId - id of meld to add the card to
+   * @return {boolean} returns true if successful, throws a GameError otherwise
    */
-  addToMeld(player, card, meldID) {
-    let meld = this.melds.find(m => m.id === meldID);
-    let x = meld.addCard(card);
-    if (this.players[player].hand.length > 1 && x) {
-      this.players[player].removeCard(card);
-      return true;
-    }
-    return false;
+  addToMeld(player, cardID, meldID) {
+    this.checkTurn(player, phases.PLAY);
+    const [card] = this.getCardsFromHand(player, [cardID]);
+    if (!this.hasMeld(player)) throw meldError("NOT_MELDED");
+    let meld = this.getMeld(meldID);
+    if (this.players[player].hand.length < 2) throw meldError("NO_CARDS_LEFT");
+    meld.addCard(card, this.options);
+    this.record("layOff", { player, card: card.id, meld: meldID });
+    this.players[player].removeCard(card);
+    this.updatePlayPhase(player);
+    return true;
   }
 
   /**
@@ -751,3 +1971,10 @@ class MayI {
 }
 
 module.exports = MayI;
+module.exports.GameError = GameError;
+module.exports.phases = phases;
+module.exports.Deck = Deck;
+module.exports.Meld = Meld;
+module.exports.seededRandom = seededRandom;
+module.exports.contractPresets = contractPresets;
+module.exports.maxPlayers = maxPlayers;
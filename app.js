@@ -1,6 +1,14 @@
 const mayi = require("./MayI"); /** mayi game */
+const { GameError, phases } = mayi; /** game errors and turn phases */
+const { maxPlayers } = mayi; /** most players a game can deal to */
 const express = require("express"); /** require express */
 const socketio = require("socket.io"); /** require socket io */
+const snapshots = require("./snapshots"); /** room snapshots on disk */
+const Bot = require("./bots"); /** computer controlled players */
+const { botLevels } = Bot; /** bot difficulty levels */
+const crypto = require("crypto"); /** signs reconnect tokens */
+const schemas = require("./schemas"); /** socket event payload schemas */
+const RoomTimers = require("./timers"); /** timeouts of a room */
 
 const app = express(); /** create an instance of express server */
 const expressServer = app.listen(3000); /** express server */
@@ -8,11 +16,232 @@ const expressServer = app.listen(3000); /** express server */
 /** create an instance of socketio and pass it our http server we are binding to */
 const io = socketio(expressServer, { forceNew: true });
 
-/** All the currently active game rooms */
-const rooms = {};
+/**
+ * All the currently active game rooms.  Maps keyed by room or user IDs sent by clients
+ * have no prototype so IDs such as constructor are not found in them.
+ */
+const rooms = Object.create(null);
 
 /** All the data for each currently active game room */
-const gameData = {};
+const gameData = Object.create(null);
+
+/** How often (in ms) changed rooms are written to disk */
+const snapshotInterval = 5000;
+
+/** The last snapshot written to disk for each room */
+const savedSnapshots = Object.create(null);
+
+/** How long (in ms) a bot waits before it plays its turn */
+const botDelay = 2000;
+
+/** How long (in ms) players may ask to buy a discarded card by default */
+const defaultBuyWindow = 15000;
+
+/** How long (in ms) a player has to finish their turn by default */
+const defaultTurnLength = 50000;
+
+/** Number of turns in a row a player may let time out before they are marked away */
+const awayAfterTimeouts = 2;
+
+/** The timeouts of a room that stop while the game is paused */
+const pausedTimers = ["BUY", "TURN", "BOT"];
+
+/** Number of chat messages kept for each room */
+const chatHistoryLength = 50;
+
+/** Maximum number of characters in a chat message */
+const maxChatLength = 200;
+
+/** A player may send at most chatRateLimit messages every chatRateInterval ms */
+const chatRateLimit = 5;
+const chatRateInterval = 10000;
+
+/** A socket may send at most socketRateLimit events every socketRateInterval ms */
+const socketRateLimit = 30;
+const socketRateInterval = 5000;
+
+/** The socket io room of the sockets following the lobby */
+const lobby = "lobby";
+
+/** The number of players a quick match can be asked for */
+const quickMatchSizes = [3, 4, 5];
+
+/** Number of quick match rooms created so far, used to name them */
+let quickMatchCount = 0;
+
+/** The secret reconnect tokens are signed with */
+const reconnectSecret = process.env.RECONNECT_SECRET || snapshots.loadSecret();
+
+/** How long (in ms) the seat of a disconnected player is held by default */
+const defaultGracePeriod = 60000;
+
+/** What happens to a seat once its grace period is over: a bot takes over, the player forfeits or the game waits */
+const seatPolicies = ["BOT", "FORFEIT", "PAUSE"];
+
+/**
+ * Serialize a room together with the parts of its game data that outlive a restart
+ * @param {string} room - The room ID
+ * @returns {string} json - The serialized room
+ */
+function serializeRoom(room) {
+  const {
+    numberOfPlayers,
+    seed,
+    host,
+    isPublic,
+    locked,
+    kicked,
+    gracePeriod,
+    seatPolicy,
+    paused,
+    missedTurns,
+    away,
+    buyWindow,
+    turnLength,
+    bots,
+    allowSpectators,
+    maxSpectators,
+    chat,
+    chatEnabled,
+    mutes
+  } = gameData[room];
+  const levels = Object.create(null);
+  for (let id in bots) levels[id] = bots[id].level;
+  return JSON.stringify({
+    game: rooms[room],
+    gameData: {
+      numberOfPlayers,
+      seed,
+      host,
+      isPublic,
+      locked,
+      kicked,
+      gracePeriod,
+      seatPolicy,
+      paused,
+      missedTurns,
+      away,
+      buyWindow,
+      turnLength,
+      bots: levels,
+      allowSpectators,
+      maxSpectators,
+      chat,
+      chatEnabled,
+      mutes
+    }
+  });
+}
+
+/**
+ * Write every room that changed since the last snapshot to disk and remove the
+ * snapshots of rooms that no longer exist.
+ */
+function saveRooms() {
+  for (let room in rooms) {
+    const json = serializeRoom(room);
+    if (savedSnapshots[room] === json) continue;
+    snapshots.saveSnapshot(room, json);
+    savedSnapshots[room] = json;
+  }
+  for (let room in savedSnapshots) {
+    if (rooms[room]) continue;
+    snapshots.deleteSnapshot(room);
+    delete savedSnapshots[room];
+  }
+}
+
+/**
+ * Restore a room from its snapshot.  Nobody is connected after a restart so every
+ * player is marked as disconnected and can rejoin through joinRoom.  A paused game
+ * stays paused and players who were away stay away.  Votes to pause the game are not
+ * kept.
+ * @param {string} room - The room ID
+ * @param {object} saved - The snapshot of the room
+ */
+function restoreRoom(room, saved) {
+  const game = mayi.fromJSON(saved.game);
+  for (let player in game.players)
+    if (game.players[player].socketId !== null) game.disconnect(player);
+  const bots = Object.create(null);
+  const savedBots = saved.gameData.bots || {};
+  for (let id in savedBots) bots[id] = new Bot(game, id, savedBots[id]);
+  rooms[room] = game;
+  gameData[room] = {
+    timers: new RoomTimers(),
+    buyers: [],
+    passes: [],
+    numberOfPlayers: saved.gameData.numberOfPlayers,
+    seed: saved.gameData.seed,
+    host: saved.gameData.host,
+    isPublic: saved.gameData.isPublic === true,
+    locked: saved.gameData.locked === true,
+    kicked: saved.gameData.kicked || [],
+    gracePeriod:
+      saved.gameData.gracePeriod === undefined
+        ? defaultGracePeriod
+        : saved.gameData.gracePeriod,
+    seatPolicy: saved.gameData.seatPolicy || "BOT",
+    paused: saved.gameData.paused || null,
+    pauseVotes: [],
+    missedTurns: Object.assign(Object.create(null), saved.gameData.missedTurns),
+    away: saved.gameData.away || [],
+    buyWindow:
+      saved.gameData.buyWindow === undefined
+        ? defaultBuyWindow
+        : saved.gameData.buyWindow,
+    turnLength:
+      saved.gameData.turnLength === undefined
+        ? defaultTurnLength
+        : saved.gameData.turnLength,
+    bots,
+    spectators: {},
+    allowSpectators: saved.gameData.allowSpectators !== false,
+    maxSpectators:
+      saved.gameData.maxSpectators === undefined
+        ? null
+        : saved.gameData.maxSpectators,
+    chat: saved.gameData.chat || [],
+    chatEnabled: saved.gameData.chatEnabled !== false,
+    chatTimes: Object.create(null),
+    mutes: Object.assign(Object.create(null), saved.gameData.mutes)
+  };
+  console.log(`Restored room ${room}`);
+  runBots(room);
+  if (game.deck && !game.isGameOver())
+    for (let player in game.players)
+      if (!bots[player] && !game.players[player].forfeited)
+        reserveSeat(room, player);
+}
+
+/**
+ * Restore all rooms from their snapshots on disk.  A room whose snapshot cannot be
+ * restored is skipped.
+ */
+function restoreRooms() {
+  const saved = snapshots.loadSnapshots();
+  for (let room in saved) {
+    try {
+      restoreRoom(room, saved[room]);
+    } catch (e) {
+      console.log(`Unable to restore room ${room}: ${e.message}`);
+      if (gameData[room]) gameData[room].timers.clearAll();
+      delete rooms[room];
+      delete gameData[room];
+    }
+  }
+}
+
+restoreRooms();
+setInterval(saveRooms, snapshotInterval);
+
+// write a final snapshot before the server is stopped
+["SIGINT", "SIGTERM"].forEach(signal =>
+  process.on(signal, () => {
+    saveRooms();
+    process.exit(0);
+  })
+);
 
 /**
  * Get personal player profile including socketID, name, # of Buys, Hand
@@ -61,21 +290,31 @@ function getCurrentRound(room) {
   return rooms[room].round.toString();
 }
 
+/**
+ * Get the contract (meld requirements) of the current round
+ * @param {string} room - The room ID
+ * @returns {object} contract - The number of sets and runs required and their minimum lengths
+ */
+function getContract(room) {
+  return rooms[room].getContract();
+}
+
 /**
  * Remove a card from a players hand
  * @param {string} room - The room ID
  * @param {string} user - The user ID
- * @param {object} card - Card object
+ * @param {number} cardID - ID of a card in the users hand
  */
-function removeCardFromPlayer(room, user, card) {
-  rooms[room].discard(user, card);
+function removeCardFromPlayer(room, user, cardID) {
+  rooms[room].discard(user, cardID);
 }
 
 /**
  * Create new meld(s)
  * @param {string} room - The room ID
  * @param {string} user - The user ID
- * @returns {boolean} returns true if meld was created, false otherwise
+ * @param {array} melds - An array of arrays of card IDs
+ * @returns {boolean} returns true if meld was created, throws a GameError with the reason otherwise
  */
 function newMeld(room, user, melds) {
   return rooms[room].meld(user, melds);
@@ -107,17 +346,18 @@ function getDeck(room) {
 /**
  * Get current game scores
  * @param {string} room - The room ID
- * @returns {array} scores - An array of objects that contains the id, name, and number of points for each player in a room
+ * @returns {array} scores - An array of objects that contains the id, name, number of points and whether they forfeited for each player in a room
  */
 function getScores(room) {
   const game = rooms[room];
   const scores = [];
   for (let player in game.players) {
-    let { id, name, points } = game.players[player];
+    let { id, name, points, forfeited } = game.players[player];
     scores.push({
       id,
       name,
-      points
+      points,
+      forfeited
     });
   }
   return scores;
@@ -132,6 +372,15 @@ function getTurn(room) {
   return rooms[room].turnOrder[rooms[room].turn];
 }
 
+/**
+ * Gets the phase of the current turn
+ * @param {string} room - The room ID
+ * @returns {string} returns the current phase (BUY, DRAW, PLAY or DISCARD)
+ */
+function getPhase(room) {
+  return rooms[room].phase;
+}
+
 /**
  *
  * @param {string} room - The room ID
@@ -151,529 +400,2226 @@ function getMelds(room) {
   return rooms[room].melds;
 }
 
-/** Handles all communication to and from client for each socket connection */
-io.on("connection", socket => {
-  console.log(`New Connection from socket ${socket.id}`);
+/**
+ * Get the player a socket is seated as
+ * @param {string} room - The room ID
+ * @param {string} socketId - The socket ID
+ * @returns {string} user - The user ID of the player or undefined if the socket is not seated in the room
+ */
+function getSocketPlayer(room, socketId) {
+  const players = rooms[room].players;
+  return Object.keys(players).find(id => players[id].socketId === socketId);
+}
+
+/**
+ * Throw a GameError unless a socket is seated in or spectating a room
+ * @param {string} room - The room ID
+ * @param {string} socketId - The socket ID
+ */
+function checkWatching(room, socketId) {
+  if (!getSocketPlayer(room, socketId) && !gameData[room].spectators[socketId])
+    throw new GameError(
+      "NOT_WATCHING",
+      `You are neither playing nor spectating in room ${room}.`
+    );
+}
+
+/**
+ * Get the public profile of every player in turn order
+ * @param {string} room - The room ID
+ * @returns {array} players - An array of objects containing id, name, buys, card count and whether the player is away for each player
+ */
+function getPublicPlayers(room) {
+  const game = rooms[room];
+  return game.turnOrder.map(id => ({
+    id,
+    name: game.players[id].name,
+    buys: game.players[id].buys,
+    cardCount: game.players[id].hand.length,
+    away: gameData[room].away.includes(id)
+  }));
+}
+
+/**
+ * Get the time left in the buy window and the current turn
+ * @param {string} room - The room ID
+ * @returns {object} timers - The time left (in ms, null when not running) of the buy window and the turn and their lengths (null when untimed)
+ */
+function getTimers(room) {
+  const { timers, buyWindow, turnLength } = gameData[room];
+  return {
+    buy: timers.remaining("BUY"),
+    turn: timers.remaining("TURN"),
+    buyWindow,
+    turnLength
+  };
+}
+
+/**
+ * Get everything about a room that every player may see.  Hands are never included.
+ * @param {string} room - The room ID
+ * @returns {object} state - The host, whether the room is locked, the players, round, contract, deck, turn, phase, melds, scores and timers
+ */
+function getPublicState(room) {
+  return {
+    host: gameData[room].host,
+    locked: gameData[room].locked,
+    players: getPublicPlayers(room),
+    round: getCurrentRound(room),
+    contract: getContract(room),
+    deck: rooms[room].deck ? getDeck(room) : null,
+    turn: getTurn(room),
+    phase: getPhase(room),
+    melds: getMelds(room),
+    scores: getScores(room),
+    timers: getTimers(room)
+  };
+}
+
+/**
+ * Check the spectator settings of a room
+ * @param {boolean} allowSpectators - Whether the room may be spectated
+ * @param {number} maxSpectators - Maximum number of spectators or null for no limit
+ */
+function checkSpectatorSettings(allowSpectators, maxSpectators) {
+  if (typeof allowSpectators !== "boolean")
+    throw new GameError(
+      "INVALID_OPTIONS",
+      "Spectating must be either allowed or not."
+    );
+  if (
+    maxSpectators !== null &&
+    (!Number.isInteger(maxSpectators) || maxSpectators < 0)
+  )
+    throw new GameError(
+      "INVALID_OPTIONS",
+      "The maximum number of spectators must be a positive number."
+    );
+}
+
+/**
+ * Check the seat reservation settings of a room
+ * @param {number} gracePeriod - How long (in ms) the seat of a disconnected player is held
+ * @param {string} seatPolicy - What happens to the seat afterwards (see seatPolicies)
+ */
+function checkSeatSettings(gracePeriod, seatPolicy) {
+  if (!Number.isInteger(gracePeriod) || gracePeriod < 0)
+    throw new GameError(
+      "INVALID_OPTIONS",
+      "The grace period must be a positive number of milliseconds."
+    );
+  if (!seatPolicies.includes(seatPolicy))
+    throw new GameError(
+      "INVALID_OPTIONS",
+      `The seat policy must be one of ${seatPolicies.join(", ")}.`
+    );
+}
+
+/**
+ * Check the timer settings of a room
+ * @param {number} buyWindow - How long (in ms) players may ask to buy a discarded card or null for no limit
+ * @param {number} turnLength - How long (in ms) a player has to finish their turn or null for no limit
+ */
+function checkTimerSettings(buyWindow, turnLength) {
+  for (let length of [buyWindow, turnLength])
+    if (length !== null && (!Number.isInteger(length) || length <= 0))
+      throw new GameError(
+        "INVALID_OPTIONS",
+        "Timers must be a positive number of milliseconds or null for no limit."
+      );
+}
+
+/**
+ * Create a new game room and initialize its game data
+ * @param {string} room - The room ID
+ * @param {string} host - The user ID of the host, null to make the first player to join the host
+ * @param {object} settings - numberOfPlayers, seed, isPublic, gracePeriod, seatPolicy, buyWindow, turnLength, allowSpectators, maxSpectators and the game options
+ */
+function createRoom(
+  room,
+  host,
+  {
+    numberOfPlayers,
+    seed = null,
+    isPublic = false,
+    gracePeriod = defaultGracePeriod,
+    seatPolicy = "BOT",
+    buyWindow = defaultBuyWindow,
+    turnLength = defaultTurnLength,
+    allowSpectators = true,
+    maxSpectators = null,
+    ...rules
+  }
+) {
+  if (typeof room !== "string" || !room)
+    throw new GameError("INVALID_ROOM", "A room needs a name.");
+  if (room === lobby)
+    throw new GameError("INVALID_ROOM", `The name ${room} is reserved.`);
+  if (rooms[room])
+    throw new GameError(
+      "ROOM_EXISTS",
+      "A room with this name already exists.  Please choose a different name."
+    );
+  if (
+    !Number.isInteger(numberOfPlayers) ||
+    numberOfPlayers < 2 ||
+    numberOfPlayers > maxPlayers
+  )
+    throw new GameError(
+      "INVALID_OPTIONS",
+      `A game needs a number of players from 2 to ${maxPlayers}.`
+    );
+  if (typeof isPublic !== "boolean")
+    throw new GameError(
+      "INVALID_OPTIONS",
+      "A room must be either public or private."
+    );
+  checkSeatSettings(gracePeriod, seatPolicy);
+  checkTimerSettings(buyWindow, turnLength);
+  checkSpectatorSettings(allowSpectators, maxSpectators);
+  const game = new mayi(rules);
+  console.log(`Creating room ${room}`);
+  rooms[room] = game;
+  gameData[room] = {
+    timers: new RoomTimers(),
+    buyers: [],
+    passes: [],
+    numberOfPlayers,
+    seed,
+    host,
+    isPublic,
+    locked: false,
+    kicked: [],
+    gracePeriod,
+    seatPolicy,
+    paused: null,
+    pauseVotes: [],
+    missedTurns: Object.create(null),
+    away: [],
+    buyWindow,
+    turnLength,
+    bots: Object.create(null),
+    spectators: {},
+    allowSpectators,
+    maxSpectators,
+    chat: [],
+    chatEnabled: true,
+    chatTimes: Object.create(null),
+    mutes: Object.create(null)
+  };
+}
+
+/**
+ * Delete a room together with its game data and cancel every timeout of the room
+ * @param {string} room - The room ID
+ */
+function deleteRoom(room) {
+  const isPublic = gameData[room].isPublic;
+  gameData[room].timers.clearAll();
+  delete rooms[room];
+  delete gameData[room];
+  console.log(`Deleted room ${room}`);
+  if (isPublic) updateLobby();
+}
+
+/**
+ * Get every public room that still has open seats and is not locked
+ * @returns {array} rooms - An array of objects containing the room ID, host, number of players, seats taken and open seats
+ */
+function getOpenRooms() {
+  const open = [];
+  for (let room in rooms) {
+    const { deck } = rooms[room];
+    if (deck || !gameData[room].isPublic || gameData[room].locked) continue;
+    const { numberOfPlayers, host, allowSpectators } = gameData[room];
+    const seatsTaken = Object.keys(rooms[room].players).length;
+    open.push({
+      room,
+      host,
+      numberOfPlayers,
+      seatsTaken,
+      openSeats: numberOfPlayers - seatsTaken,
+      allowSpectators
+    });
+  }
+  return open;
+}
+
+/**
+ * Get the results of a finished game
+ * @param {string} room - The room ID
+ * @returns {object} results - The points of every round, the final standings from lowest to highest points with forfeited players last and the IDs of the winners
+ */
+function getResults(room) {
+  const game = rooms[room];
+  if (!game.isGameOver())
+    throw new GameError(
+      "GAME_NOT_OVER",
+      `The game in room ${room} is not over.`
+    );
+  const rounds = game.log
+    .filter(entry => entry.type === "roundEnd")
+    .map(({ round, points }) => ({ round, points }));
+  const standings = getScores(room).sort(
+    (a, b) => a.forfeited - b.forfeited || a.points - b.points
+  );
+  const winners = standings
+    .filter(
+      ({ points, forfeited }) => !forfeited && points === standings[0].points
+    )
+    .map(({ id }) => id);
+  return { rounds, standings, winners };
+}
+
+/**
+ * Sign the reconnect token of a player.  Only the holder of the token can take the
+ * seat of the player back after a disconnect.
+ * @param {string} room - The room ID
+ * @param {string} user - The user ID
+ * @returns {string} token - The reconnect token
+ */
+function signToken(room, user) {
+  return crypto
+    .createHmac("sha256", reconnectSecret)
+    .update(JSON.stringify([room, user]))
+    .digest("hex");
+}
+
+/**
+ * Check the reconnect token of a player
+ * @param {string} room - The room ID
+ * @param {string} user - The user ID
+ * @param {string} token - The token sent by the client
+ * @returns {boolean} returns true if the token belongs to the player, false otherwise
+ */
+function isValidToken(room, user, token) {
+  const expected = Buffer.from(signToken(room, user));
+  return (
+    typeof token === "string" &&
+    token.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(token), expected)
+  );
+}
+
+/**
+ * Seat a player in a room that has not been dealt yet.  The first player to join a
+ * room without a host becomes its host.
+ * @param {string} room - The room ID
+ * @param {object} socket - The socket of the player
+ * @param {string} user - The user ID
+ * @param {string} userName - The users name / alias
+ */
+function seatPlayer(room, socket, user, userName) {
+  delete gameData[room].spectators[socket.id];
+  socket.join(room);
+  rooms[room].addPlayer(user, socket.id, userName);
+  if (gameData[room].host === null) gameData[room].host = user;
+  console.log(`Added player ${user} : ${userName} to ${room}`);
+}
+
+/**
+ * Remove a player from a room that has not been dealt yet
+ * @param {string} room - The room ID
+ * @param {string} player - The ID of the player
+ */
+function unseatPlayer(room, player) {
+  const game = rooms[room];
+  const socketId = game.players[player].socketId;
+  game.removePlayer(player);
+  delete gameData[room].bots[player];
+  const socket = socketId && io.sockets.connected[socketId];
+  if (socket) socket.leave(room);
+  console.log(`Removed player ${player} from ${room}`);
+  if (gameData[room].isPublic) updateLobby();
+}
+
+/**
+ * Make a player the host of a room and tell the room
+ * @param {string} room - The room ID
+ * @param {string} player - The ID of the new host, null if nobody can be host
+ */
+function setHost(room, player) {
+  gameData[room].host = player;
+  console.log(`The host of room ${room} is ${player}`);
+  io.in(room).emit("hostChanged", {
+    userID: player,
+    name: player ? rooms[room].players[player].name : null
+  });
+}
+
+/**
+ * Hand the host rights of a room to the next connected player in turn order once the
+ * host left, forfeited or lost their connection.  The seat of a disconnected host is
+ * only given up once it is no longer held.  Bots are never host.  Without a connected
+ * player the room has no host until a player joins or rejoins.
+ * @param {string} room - The room ID
+ */
+function moveHost(room) {
+  const game = rooms[room];
+  const data = gameData[room];
+  const { host } = data;
+  const isPlaying = id =>
+    game.players[id] && !game.players[id].forfeited && !data.bots[id];
+  if (
+    host !== null &&
+    isPlaying(host) &&
+    (game.players[host].socketId !== null || data.timers.has(`GRACE-${host}`))
+  )
+    return;
+  const next = game.turnOrder.find(
+    id => isPlaying(id) && game.players[id].socketId !== null
+  );
+  if (next === undefined && host === null) return;
+  setHost(room, next === undefined ? null : next);
+}
+
+/**
+ * Throw a GameError unless a user is the host of a room
+ * @param {string} room - The room ID
+ * @param {string} user - The user ID
+ * @param {string} action - What only the host may do, completes "Only the host of the room can ..."
+ */
+function checkHost(room, user, action) {
+  if (gameData[room].host !== user)
+    throw new GameError("NOT_HOST", `Only the host of the room can ${action}.`);
+}
+
+/**
+ * Check whether a room was abandoned.  A room is abandoned once none of its players
+ * can play in it anymore: every player left, forfeited or is a bot, and after the
+ * game every player disconnected.
+ * @param {string} room - The room ID
+ * @returns {boolean} returns true if the room can be deleted, false otherwise
+ */
+function isAbandoned(room) {
+  const game = rooms[room];
+  const data = gameData[room];
+  return Object.values(game.players).every(
+    ({ id, socketId, forfeited }) =>
+      forfeited || (socketId === null && (data.bots[id] || game.isGameOver()))
+  );
+}
+
+/**
+ * Send the open public rooms to every socket following the lobby
+ */
+function updateLobby() {
+  io.to(lobby).emit("lobby", getOpenRooms());
+}
+
+/**
+ * Build a successful acknowledgement.  Every client event is acknowledged with an
+ * envelope of the form {ok, code, message, data}.
+ * @param {*} data - The data returned to the client
+ * @param {string} message - A human readable message
+ * @returns {object} envelope - The acknowledgement envelope
+ */
+function ack(data = null, message = "") {
+  return { ok: true, code: "OK", message, data };
+}
+
+/**
+ * Build a failed acknowledgement
+ * @param {string} code - Machine readable error code
+ * @param {string} message - Human readable description of the error
+ * @returns {object} envelope - The acknowledgement envelope
+ */
+function nack(code, message) {
+  return { ok: false, code, message, data: null };
+}
+
+/**
+ *
+ * snackBar
+ *
+ * SnackBar is a helper function that is called often.  It provides important
+ * game play updates such as turns, buys, and melds.
+ *
+ * @param {string} room - The room name used as the ID.
+ * @param {string} user - The requesting user ID.
+ * @param {string} action - The type of action (BUY, MELD, TURN)
+ */
+function snackBar(room, user, action) {
+  io.in(room).emit("snackBar", {
+    userID: user,
+    name: rooms[room].players[user].name,
+    action
+  });
+}
+
+/**
+ *
+ * handleDrawResult
+ *
+ * Informs the room of what happened while cards were drawn from the deck.  Emits a
+ * reshuffle message when the discard pile was shuffled back into the deck.  If the
+ * deck and the discard pile ran out of cards the round has ended without a winner
+ * and the turn timer of the round is stopped.
+ *
+ * @param {string} room - The room name used as the ID.
+ * @param {object} result - The result of MayI draw or buy.
+ * @returns {boolean} returns true if the round ended, false otherwise
+ */
+function handleDrawResult(room, result) {
+  if (result.reshuffled) io.in(room).emit("reshuffle", getDeck(room));
+  if (!result.roundOver) return false;
+  gameData[room].timers.clear("TURN");
+  console.log(`Room ${room} ran out of cards.`);
+  io.in(room).emit("deck", getDeck(room));
+  io.in(room).emit("scores", getScores(room));
+  io.in(room).emit("roundFinished", null);
+  runBots(room);
+  return true;
+}
+
+/**
+ *
+ * handleDiscardCard
+ *
+ * Function that gets invoked by the turn timer started after each buy period.  It plays
+ * the turn of a player who did not finish it in the allowed time frame so the game
+ * can continue if a user disconnects.  The player draws if they have not drawn yet and
+ * discards the card of the highest value that does not help their hand towards the
+ * contract (see Bot chooseAutoDiscard).  The discard is handled like any other discard,
+ * which ends the round if the hand is empty.  A player whose turn times out
+ * awayAfterTimeouts times in a row is marked away and their turns are played right away.
+ *
+ * @param {string} room - The room name used as the ID.
+ */
+function handleDiscardCard(room) {
+  const game = rooms[room];
+  const data = gameData[room];
+  const user = getTurn(room);
+  data.missedTurns[user] = (data.missedTurns[user] || 0) + 1;
+  if (data.missedTurns[user] >= awayAfterTimeouts && !data.away.includes(user))
+    setAway(room, user, true);
+  try {
+    if (game.phase === phases.DRAW) {
+      const result = game.draw(user);
+      console.log(`${user} drew a card.`);
+      if (handleDrawResult(room, result)) return;
+      io.in(room).emit("userDrewACard");
+    }
+    const cardID = new Bot(game, user).chooseAutoDiscard();
+    game.discard(user, cardID, true);
+    console.log(`${user} ran out of time and discarded a card.`);
+    handleDiscard(room, user);
+  } catch (e) {
+    console.error(`Unable to play the turn of ${user} in room ${room}.`, e);
+  }
+}
+
+/**
+ * Mark a player as away or back.  The turns of a player who is away are played for
+ * them as soon as they begin.
+ * @param {string} room - The room ID
+ * @param {string} user - The user ID
+ * @param {boolean} away - Whether the player is away
+ */
+function setAway(room, user, away) {
+  const data = gameData[room];
+  data.away = data.away.filter(id => id !== user);
+  if (away) data.away.push(user);
+  else delete data.missedTurns[user];
+  console.log(`${user} is ${away ? "away" : "back"} in room ${room}`);
+  io.in(room).emit("playerAway", { userID: user, away });
+}
+
+/**
+ *
+ * handleCardBuyProcess
+ *
+ * Function is called by a timeout set in buyProcess.  After the allowed time to make a
+ * buy decision the function checks if any user requested to buy the card (stored in gameData)
+ * and handles the buy request.  Clears the room timer and ends the buy phase. Emits messages
+ * notifiying players of a sucessful buy or if there was no buy to continue game play.
+ * Without a buy window it is called once every player answered (see checkBuyAnswers).
+ *
+ * @param {string} room - The room name used as the ID.
+ */
+function handleCardBuyProcess(room) {
+  gameData[room].timers.clear("BUY");
+  const buyers = gameData[room].buyers;
+  gameData[room].buyers = [];
+  gameData[room].passes = [];
+  if (buyers.length) {
+    const buyer = rooms[room].determineBuy(buyers);
+    if (buyer) {
+      const result = rooms[room].buy(buyer);
+      snackBar(room, buyer, "BUY");
+      if (handleDrawResult(room, result)) return;
+    }
+  }
+  rooms[room].endBuyPhase();
+  io.to(room).emit("buyFinalized");
+  io.in(room).emit("setPhase", getPhase(room));
+  runBots(room);
+}
+
+/**
+ *
+ * checkBuyAnswers
+ *
+ * A room without a buy window waits until every player who may buy the discarded card
+ * asked for it or passed, then ends the buy phase.  Disconnected players without a bot
+ * are not waited for.
+ *
+ * @param {string} room - The room name used as the ID.
+ */
+function checkBuyAnswers(room) {
+  const game = rooms[room];
+  const data = gameData[room];
+  if (data.buyWindow !== null || game.phase !== phases.BUY) return;
+  // in buy order, the player who discarded the card may not buy it
+  const players = [
+    ...game.turnOrder.slice(game.turn),
+    ...game.turnOrder.slice(0, game.turn)
+  ];
+  if (game.deck.discarded.length > 1) players.pop();
+  const waiting = players.filter(
+    id =>
+      game.players[id].buys > 0 &&
+      (game.players[id].socketId !== null || data.bots[id]) &&
+      !data.buyers.includes(id) &&
+      !data.passes.includes(id)
+  );
+  if (!waiting.length) handleCardBuyProcess(room);
+}
+
+/**
+ *
+ * handleDiscard
+ *
+ * Updates the room after a player discarded a card.  Clears the turn timer.  If the
+ * discard emptied the hand of the player the round is over, otherwise the next turn
+ * begins.
+ *
+ * @param {string} room - The room name used as the ID.
+ * @param {string} user - The ID of the user who discarded.
+ */
+function handleDiscard(room, user) {
+  const game = rooms[room];
+  gameData[room].timers.clear("TURN");
+  io.in(room).emit("updateOpponentCards");
+  if (game.players[user].socketId)
+    io.to(game.players[user].socketId).emit(
+      "getMyPlayer",
+      getMyPlayer(room, user)
+    );
+  io.in(room).emit("discardCard", { success: true });
+  io.in(room).emit("deck", getDeck(room));
+  if (game.players[user].hand.length === 0) {
+    game.endRound();
+    io.in(room).emit("scores", getScores(room));
+    io.in(room).emit("roundFinished", game.players[user].name);
+  } else {
+    io.in(room).emit("setTurn", getTurn(room));
+    snackBar(room, getTurn(room), "TURN");
+  }
+  io.in(room).emit("setPhase", getPhase(room));
+  runBots(room);
+}
+
+/**
+ *
+ * dealIfFull
+ *
+ * Deals the first round once every seat of the room is taken and tells the room
+ * the game is ready to start.  Players who disconnected before the deal get the grace
+ * period of the room from the deal on.  The lobby is told about the taken seat either
+ * way.
+ *
+ * @param {string} room - The room name used as the ID.
+ */
+function dealIfFull(room) {
+  const game = rooms[room];
+  const data = gameData[room];
+  if (data.numberOfPlayers === Object.keys(game.players).length) {
+    game.deal(data.seed);
+    console.log(`Dealt room ${room} with seed ${game.seed}`);
+    io.in(room).emit("gameReady", "Game is Ready to start!");
+    for (let player in game.players) {
+      if (game.players[player].socketId !== null || data.bots[player]) continue;
+      reserveSeat(room, player);
+      if (getTurn(room) === player) pauseGame(room, "DISCONNECT", player);
+    }
+  }
+  if (data.isPublic) updateLobby();
+  runBots(room);
+}
+
+/**
+ *
+ * runBots
+ *
+ * Lets the bots of a room act on the current state of the game.  During the buy phase
+ * every bot decides whether it wants the discarded card or passes.  When it is the turn
+ * of a bot its turn is played after a short delay so the other players can follow along.
+ *
+ * @param {string} room - The room name used as the ID.
+ */
+function runBots(room) {
+  const game = rooms[room];
+  const data = gameData[room];
+  if (!game || !game.deck || game.isGameOver() || data.paused) return;
+  if (game.phase === phases.BUY) {
+    for (let id in data.bots) {
+      if (data.buyers.includes(id) || data.passes.includes(id)) continue;
+      if (!data.bots[id].wantsToBuy()) {
+        data.passes.push(id);
+        continue;
+      }
+      console.log(`${id} is requesting to buy a card.`);
+      data.buyers.push(id);
+    }
+    checkBuyAnswers(room);
+  } else if (data.bots[getTurn(room)] && !data.timers.has("BOT")) {
+    data.timers.start("BOT", botDelay, playBotTurn, room);
+  }
+}
+
+/**
+ *
+ * playBotTurn
+ *
+ * Plays the turn of a bot through the same game actions a player uses.  The bot draws,
+ * melds the contract when it can, swaps for wild cards, lays off cards and discards.
+ *
+ * @param {string} room - The room name used as the ID.
+ */
+function playBotTurn(room) {
+  const game = rooms[room];
+  if (!game) return;
+  const user = getTurn(room);
+  const bot = gameData[room].bots[user];
+  if (!bot || game.phase === phases.BUY || gameData[room].paused) return;
+  try {
+    if (game.phase === phases.DRAW) {
+      const result = game.draw(user);
+      console.log(`${user} drew a card.`);
+      if (handleDrawResult(room, result)) return;
+      io.in(room).emit("userDrewACard");
+    }
+    let melds;
+    while (game.phase === phases.PLAY && (melds = bot.chooseMelds())) {
+      game.meld(user, melds);
+      io.in(room).emit("melds", getMelds(room));
+      snackBar(room, user, "MELD");
+    }
+    let move;
+    let changed = false;
+    while (game.phase === phases.PLAY && (move = bot.chooseSwap())) {
+      game.swapWithMeld(user, move.cardID, move.meldID);
+      changed = true;
+    }
+    while (game.phase === phases.PLAY && (move = bot.chooseLayOff())) {
+      game.addToMeld(user, move.cardID, move.meldID);
+      changed = true;
+    }
+    if (changed) io.to(room).emit("updateAfterMeldDropOrSwap");
+    game.discard(user, bot.chooseDiscard());
+    console.log(`${user} discarded a card.`);
+    handleDiscard(room, user);
+  } catch (e) {
+    console.error(`Bot ${user} in room ${room} failed to play its turn.`, e);
+  }
+}
+
+/**
+ *
+ * startTurnTimer
+ *
+ * Gives the player whose turn it is the turn length of the room to finish their turn,
+ * after which their turn is played for them (see handleDiscardCard).  Bots play their
+ * own turn and untimed rooms have no turn timer.  The turn of a player who is away is
+ * played after the short delay of a bot.  While a card is up for buying the turn has
+ * not started yet and the timer starts once the buy is settled.
+ *
+ * @param {string} room - The room name used as the ID.
+ */
+function startTurnTimer(room) {
+  const data = gameData[room];
+  const user = getTurn(room);
+  if (rooms[room].phase === phases.BUY) return;
+  if (data.timers.has("TURN") || data.bots[user]) return;
+  const length = data.away.includes(user) ? botDelay : data.turnLength;
+  if (length === null) return;
+  io.in(room).emit("timedEvent", {
+    timer: data.timers.start("TURN", length, handleDiscardCard, room),
+    event: "TURN"
+  });
+}
+
+/**
+ *
+ * pauseGame
+ *
+ * Pauses the game of a room.  The buy window, the turn timer and the bots stop and keep
+ * the time they had left.  Game actions are rejected until the game is resumed.
+ *
+ * @param {string} room - The room name used as the ID.
+ * @param {string} reason - Why the game was paused (HOST, VOTE or DISCONNECT).
+ * @param {string} user - The ID of the host, the last voter or the disconnected player.
+ */
+function pauseGame(room, reason, user) {
+  const data = gameData[room];
+  if (data.paused) return;
+  data.paused = { reason, userID: user };
+  data.pauseVotes = [];
+  data.timers.pause(pausedTimers);
+  console.log(`Paused room ${room} (${reason})`);
+  io.in(room).emit("paused", { ...data.paused, timers: getTimers(room) });
+}
+
+/**
+ *
+ * resumeGame
+ *
+ * Resumes a paused game.  Every stopped timer continues with the time it had left and
+ * its new deadline is sent to the room as a timedEvent.
+ *
+ * @param {string} room - The room name used as the ID.
+ */
+function resumeGame(room) {
+  const data = gameData[room];
+  if (!data.paused) return;
+  data.paused = null;
+  data.pauseVotes = [];
+  const deadlines = data.timers.resume();
+  console.log(`Resumed room ${room}`);
+  io.in(room).emit("resumed");
+  for (let event of ["BUY", "TURN"])
+    if (deadlines[event])
+      io.in(room).emit("timedEvent", { timer: deadlines[event], event });
+  if (rooms[room].phase !== phases.BUY) startTurnTimer(room);
+  else if (!data.timers.has("BUY") && data.buyWindow !== null)
+    // buy requests sent while paused were rejected, open the buy window again
+    io.in(room).emit("timedEvent", {
+      timer: data.timers.start(
+        "BUY",
+        data.buyWindow,
+        handleCardBuyProcess,
+        room
+      ),
+      event: "BUY"
+    });
+  runBots(room);
+}
+
+/**
+ * Resume a game that was paused because a player disconnected once their seat is
+ * played again
+ * @param {string} room - The room ID
+ * @param {string} player - The ID of the player
+ */
+function resumeIfWaitingFor(room, player) {
+  const paused = gameData[room].paused;
+  if (paused && paused.reason === "DISCONNECT" && paused.userID === player)
+    resumeGame(room);
+}
+
+/**
+ * Throw a GameError if the game of a room is paused
+ * @param {string} room - The room ID
+ */
+function checkNotPaused(room) {
+  if (gameData[room].paused)
+    throw new GameError("GAME_PAUSED", "The game is paused.");
+}
+
+/**
+ * Throw a GameError if the first round of a room has not been dealt yet
+ * @param {string} room - The room ID
+ */
+function checkDealt(room) {
+  if (!rooms[room].deck)
+    throw new GameError("NOT_STARTED", "The game has not started yet.");
+}
+
+/**
+ *
+ * forfeitPlayer
+ *
+ * Removes a player from the rest of the game (see MayI forfeit) and updates the room.
+ * When it was their turn the turn timer is cleared and the next turn begins.  When too
+ * few players are left the game ends and the room receives the results.
+ *
+ * @param {string} room - The room name used as the ID.
+ * @param {string} player - The ID of the player who forfeits.
+ */
+function forfeitPlayer(room, player) {
+  const game = rooms[room];
+  const data = gameData[room];
+  const hadTurn = game.deck && getTurn(room) === player;
+  game.forfeit(player);
+  delete data.bots[player];
+  data.timers.clear(`GRACE-${player}`);
+  console.log(`${player} forfeited in room ${room}`);
+  io.in(room).emit("playerForfeited", {
+    userID: player,
+    name: game.players[player].name
+  });
+  data.away = data.away.filter(id => id !== player);
+  moveHost(room);
+  if (!game.deck) return;
+  if (game.isGameOver()) {
+    data.timers.clearAll();
+    data.paused = null;
+    data.pauseVotes = [];
+    console.log(`The game in room ${room} ended early`);
+    io.in(room).emit("scores", getScores(room));
+    io.in(room).emit("gameEnded", getResults(room));
+    return;
+  }
+  io.in(room).emit("updateOpponentCards");
+  io.in(room).emit("deck", getDeck(room));
+  if (hadTurn) {
+    // a running buy window carries over to the next player
+    data.timers.clear("TURN");
+    io.in(room).emit("setTurn", getTurn(room));
+    snackBar(room, getTurn(room), "TURN");
+    if (!data.paused) startTurnTimer(room);
+  }
+  io.in(room).emit("setPhase", getPhase(room));
+  runBots(room);
+}
+
+/**
+ *
+ * reserveSeat
+ *
+ * Holds the seat of a disconnected player for the grace period of the room.  Only the
+ * player holding the reconnect token of the seat can take it back.  Once the grace
+ * period is over the seat policy of the room decides what happens (see handleGraceExpired).
+ *
+ * @param {string} room - The room name used as the ID.
+ * @param {string} player - The ID of the disconnected player.
+ */
+function reserveSeat(room, player) {
+  const data = gameData[room];
+  io.in(room).emit("seatReserved", {
+    userID: player,
+    name: rooms[room].players[player].name,
+    until: data.timers.start(
+      `GRACE-${player}`,
+      data.gracePeriod,
+      handleGraceExpired,
+      room,
+      player
+    )
+  });
+}
+
+/**
+ *
+ * handleGraceExpired
+ *
+ * Called when a disconnected player did not come back within the grace period.  With
+ * the BOT policy a bot plays the seat until the player returns, with FORFEIT the
+ * player forfeits and with PAUSE the game is paused until the player returns.
+ *
+ * @param {string} room - The room name used as the ID.
+ * @param {string} player - The ID of the disconnected player.
+ */
+function handleGraceExpired(room, player) {
+  const game = rooms[room];
+  if (!game) return;
+  const data = gameData[room];
+  const { socketId } = game.players[player];
+  // the player came back or the host already gave the seat to a bot
+  if (socketId !== null || data.bots[player] || game.isGameOver()) return;
+  console.log(`The seat of ${player} in room ${room} is no longer held`);
+  moveHost(room);
+  if (data.seatPolicy === "PAUSE") return pauseGame(room, "DISCONNECT", player);
+  if (data.seatPolicy === "FORFEIT") forfeitPlayer(room, player);
+  else {
+    data.bots[player] = new Bot(game, player);
+    io.in(room).emit("botTookOver", {
+      userID: player,
+      name: game.players[player].name
+    });
+  }
+  resumeIfWaitingFor(room, player);
+  runBots(room);
+}
+
+/** HTTP status of the error codes returned by the REST API, any other code is a 400 */
+const httpStatus = {
+  UNKNOWN_ROOM: 404,
+  SPECTATING_DISABLED: 403,
+  ROOM_EXISTS: 409,
+  GAME_NOT_OVER: 409,
+  SERVER_ERROR: 500
+};
+
+/**
+ *
+ * route
+ *
+ * Registers a REST endpoint.  Responses use the same envelope as socket events (see
+ * ack).  Requests for unknown rooms and rule violations (GameError) are answered with
+ * their error code and a matching HTTP status.
+ *
+ * @param {string} method - The HTTP method (get, post).
+ * @param {string} path - The path of the endpoint.
+ * @param {function} handler - Called with the request, returns the envelope.
+ */
+function route(method, path, handler) {
+  app[method](path, (req, res) => {
+    let envelope;
+    try {
+      if (req.params.room !== undefined && !rooms[req.params.room])
+        throw new GameError(
+          "UNKNOWN_ROOM",
+          `Room ${req.params.room} does not exist.`
+        );
+      envelope = handler(req) || ack();
+    } catch (e) {
+      if (e instanceof GameError) {
+        console.log(`Rejected ${method.toUpperCase()} ${path}: ${e.message}`);
+        envelope = nack(e.code, e.message);
+      } else {
+        console.error(e);
+        envelope = nack("SERVER_ERROR", `Unable to handle ${req.path}.`);
+      }
+    }
+    const status = envelope.ok ? 200 : httpStatus[envelope.code] || 400;
+    res.status(status).json(envelope);
+  });
+}
+
+app.use(express.json());
+
+/**
+ *
+ * GET /rooms
+ *
+ * Lists the public rooms that are not locked and have not been dealt yet with their
+ * seat counts.
+ *
+ */
+route("get", "/rooms", () => ack(getOpenRooms()));
+
+/**
+ *
+ * POST /rooms
+ *
+ * Creates a room.  The body takes the same settings as the createRoom event.  Players
+ * join the room through joinRoom, without a host the first player to join is the host.
+ *
+ * @param {string} room - The room name used as the ID.
+ * @param {string} user - The user ID of the host (optional).
+ * @param {integer} numberOfPlayers - The number of players required for the game.
+ * @param {object} settings - seed, allowSpectators, maxSpectators and the game options.
+ */
+route("post", "/rooms", ({ body }) => {
+  const { room, user = null, ...settings } = schemas.checkPayload(
+    "POST /rooms",
+    body
+  );
+  createRoom(room, user, settings);
+  if (gameData[room].isPublic) updateLobby();
+  return ack({ room }, `Successfully created room ${room}.`);
+});
+
+/**
+ *
+ * GET /rooms/:room
+ *
+ * Returns the public state of a room: players, round, contract, deck, turn, phase,
+ * melds and scores.  Hands are never included.  Rejected when the room does not
+ * allow spectators.
+ *
+ */
+route("get", "/rooms/:room", ({ params }) => {
+  if (!gameData[params.room].allowSpectators)
+    throw new GameError(
+      "SPECTATING_DISABLED",
+      `Room ${params.room} does not allow spectators.`
+    );
+  return ack(getPublicState(params.room));
+});
+
+/**
+ *
+ * GET /rooms/:room/results
+ *
+ * Returns the points of every round, the final standings and the winners of a
+ * finished game.
+ *
+ */
+route("get", "/rooms/:room/results", ({ params }) =>
+  ack(getResults(params.room))
+);
+
+/** Handles all communication to and from client for each socket connection */
+io.on("connection", socket => {
+  console.log(`New Connection from socket ${socket.id}`);
+
+  /** Times of the recent events of the socket */
+  let eventTimes = [];
+
+  /**
+   *
+   * on
+   *
+   * Registers a handler for a client event.  Every event is acknowledged exactly once
+   * through its callback with an envelope (see ack).  The handler either returns the
+   * envelope or calls reply with it when it has to emit messages after acknowledging.
+   * Handlers that return nothing are acknowledged with an empty envelope.  Requests for
+   * unknown rooms or players and rule violations (GameError) are acknowledged with their
+   * error code instead of crashing the handler.
+   *
+   * A socket plays as the player it joined or reconnected as.  Handlers that need a
+   * player receive that user ID, a payload naming any other user is rejected.
+   *
+   * Payloads are checked against the schema of the event (see schemas) before they
+   * reach the handler.  A socket sending more than socketRateLimit events in
+   * socketRateInterval ms is rejected with RATE_LIMITED until it slows down.
+   *
+   * @param {string} event - The name of the client event.
+   * @param {function} handler - Called with the event payload and the reply function.
+   * @param {boolean} needsRoom - The payload must name an existing room (default = true).
+   * @param {boolean} needsPlayer - The socket must be a player of the room (default = true).
+   */
+  const on = (
+    event,
+    handler,
+    { needsRoom = true, needsPlayer = true } = {}
+  ) => {
+    socket.on(event, (payload, callback) => {
+      let replied = false;
+      const reply = envelope => {
+        if (replied) return;
+        replied = true;
+        if (typeof callback === "function") callback(envelope);
+      };
+      try {
+        const now = Date.now();
+        eventTimes = eventTimes.filter(time => now - time < socketRateInterval);
+        if (eventTimes.length >= socketRateLimit) {
+          if (eventTimes.length === socketRateLimit)
+            console.warn(
+              `Socket ${socket.id} (${socket.handshake.address}) sent more than ${socketRateLimit} events in ${socketRateInterval} ms`
+            );
+          eventTimes.push(now);
+          throw new GameError(
+            "RATE_LIMITED",
+            "You are sending requests too quickly.  Please wait a moment."
+          );
+        }
+        eventTimes.push(now);
+        payload = schemas.checkPayload(event, payload);
+        const game = rooms[payload.room];
+        if (needsRoom && !game)
+          throw new GameError(
+            "UNKNOWN_ROOM",
+            `Room ${payload.room} does not exist.`
+          );
+        if (needsRoom && needsPlayer) {
+          const user = getSocketPlayer(payload.room, socket.id);
+          if (!user && gameData[payload.room].spectators[socket.id])
+            throw new GameError(
+              "SPECTATOR",
+              "Spectators cannot take part in the game."
+            );
+          if (!user)
+            throw new GameError(
+              "UNKNOWN_PLAYER",
+              `You are not a player in room ${payload.room}.`
+            );
+          if (payload.user !== undefined && payload.user !== user)
+            throw new GameError(
+              "USER_MISMATCH",
+              `You are playing as ${user} in room ${payload.room}.`
+            );
+          payload = { ...payload, user };
+        }
+        reply(handler(payload, reply) || ack());
+      } catch (e) {
+        if (e instanceof GameError) {
+          // flooding is only logged once (see above)
+          if (e.code !== "RATE_LIMITED")
+            console.log(`Rejected ${event} from ${socket.id}: ${e.message}`);
+          reply(nack(e.code, e.message));
+        } else {
+          console.error(e);
+          reply(nack("SERVER_ERROR", `Unable to handle ${event}.`));
+        }
+      }
+    });
+  };
+
+  /**
+   *
+   * CreateRoom
+   *
+   * Handles the creation process of and error handling of a clients request to
+   * create a new game room.  If successful - gameData is initialized and the requesting
+   * user is added to the game.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   * @param {string} userName - The requesting users name / alias.
+   * @param {integer} numberOfPlayers - The number of players required for the game (2 to 9).
+   * @param {integer} seed - Optional seed used to shuffle, allows a game to be reproduced.
+   * @param {boolean} isPublic - Whether the room is listed in the lobby (default = false).
+   * @param {integer} buyWindow - How long (in ms) players may ask to buy a card, null for no limit (default = 15000).
+   * @param {integer} turnLength - How long (in ms) a player has to finish their turn, null for no limit (default = 50000).
+   * @param {integer} gracePeriod - How long (in ms) the seat of a disconnected player is held (default = 60000).
+   * @param {string} seatPolicy - What happens to the seat afterwards: BOT, FORFEIT or PAUSE (default = BOT).
+   * @param {boolean} allowSpectators - Whether others may watch the game (default = true).
+   * @param {integer} maxSpectators - Optional maximum number of spectators.
+   * @param {object} rules - Any remaining fields are game options (contracts, jokers, jokerValue, wilds, aces).
+   * @param {function} callback - Returns an envelope with the reconnect token of the user as data ({token})
+   */
+  on(
+    "createRoom",
+    ({ room, user, userName, ...settings }) => {
+      createRoom(room, user, settings);
+      seatPlayer(room, socket, user, userName);
+      if (gameData[room].isPublic) updateLobby();
+      return ack(
+        { token: signToken(room, user) },
+        `Successfully created room ${room}.`
+      );
+    },
+    { needsRoom: false }
+  );
+
+  /**
+   *
+   * joinRoom
+   *
+   * Handles the connection and reconnection to a provided game room.  On successful
+   * request to join room - if the room has reached capacity - a "gameReady" emit
+   * is executed to inform the client that the game is ready.  Every player receives a
+   * reconnect token when they join.  A disconnected player is placed back into their
+   * seat only when they send that token.  The socket plays as the player it joined as
+   * for every following event and can only hold one seat.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   * @param {string} userName - The requesting users name / alias.
+   * @param {string} token - The reconnect token of the user when rejoining.
+   * @param {function} callback - Returns an envelope with the reconnect token of the user as data ({token})
+   *
+   */
+  on(
+    "joinRoom",
+    ({ room, user, userName, token }, reply) => {
+      const game = rooms[room];
+      const data = gameData[room];
+      const seated = getSocketPlayer(room, socket.id);
+      if (seated)
+        throw new GameError(
+          "ALREADY_PLAYING",
+          `You are already playing as ${seated} in room ${room}.`
+        );
+      if (data.kicked.includes(user))
+        throw new GameError(
+          "KICKED",
+          `${user} was removed from room ${room} by the host.`
+        );
+      if (game.players[user]) {
+        if (!isValidToken(room, user, token))
+          throw new GameError(
+            "INVALID_TOKEN",
+            `Only the player holding the reconnect token of ${user} can take this seat.`
+          );
+        if (game.players[user].forfeited)
+          throw new GameError(
+            "FORFEITED",
+            `${user} has forfeited the game in room ${room}.`
+          );
+        if (game.players[user].socketId !== null)
+          throw new GameError(
+            "SEAT_TAKEN",
+            `${user} is already connected to room ${room}.`
+          );
+        delete data.spectators[socket.id];
+        socket.join(room);
+        game.reconnect(user, user, socket.id);
+        data.timers.clear(`GRACE-${user}`);
+        delete data.bots[user];
+        console.log(`${user} rejoined room ${room}`);
+        moveHost(room);
+        reply(ack({ token }, `Successfully rejoined room ${room}.`));
+        if (!game.deck) return;
+        io.to(socket.id).emit("reconnectEstablished");
+        resumeIfWaitingFor(room, user);
+      } else if (Object.keys(game.players).length >= data.numberOfPlayers) {
+        throw new GameError(
+          "ROOM_FULL",
+          `Unable to join room ${room}.  The maximum number of players has been reached.`
+        );
+      } else if (data.locked) {
+        throw new GameError(
+          "ROOM_LOCKED",
+          `Unable to join room ${room}.  The host has locked the room.`
+        );
+      } else {
+        console.log(`${user} joined room ${room}`);
+        seatPlayer(room, socket, user, userName);
+        reply(
+          ack(
+            { token: signToken(room, user) },
+            `Successfully joined room ${room}.`
+          )
+        );
+        dealIfFull(room);
+      }
+    },
+    { needsPlayer: false }
+  );
+
+  /**
+   *
+   * startRound
+   *
+   * The client emits a startRound message upon receiving a gameReady message.
+   * startRound handles the initial game setup required to begin game play by emitting
+   * a series of messages containing the required data.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   */
+  on("startRound", ({ room, user }) => {
+    checkDealt(room);
+    console.log("START ROUND");
+    console.log(room, user);
+    io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
+    io.to(socket.id).emit("getOtherPlayers", getOtherPlayers(room, user));
+    io.to(socket.id).emit("getCurrentRound", getCurrentRound(room));
+    io.to(socket.id).emit("contract", getContract(room));
+    io.to(socket.id).emit("deck", getDeck(room));
+    io.to(socket.id).emit("setTurn", getTurn(room));
+    io.to(socket.id).emit("setPhase", getPhase(room));
+    io.to(socket.id).emit("melds", getMelds(room));
+    io.to(socket.id).emit("scores", getScores(room));
+    snackBar(room, getTurn(room), "TURN");
+  });
+
+  /**
+   *
+   * reconnectToGame
+   *
+   * The client emits a reconnectToGame message upon receiving a reconnectEstablished message.
+   * Similar to startRound recconectToGame send all requireed game play data but at any
+   * particular point in the game.
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   */
+  on("reconnectToGame", ({ room, user }) => {
+    checkDealt(room);
+    io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
+    io.to(socket.id).emit("getOtherPlayers", getOtherPlayers(room, user));
+    io.to(socket.id).emit("getCurrentRound", getCurrentRound(room));
+    io.to(socket.id).emit("contract", getContract(room));
+    io.to(socket.id).emit("deck", getDeck(room));
+    io.to(socket.id).emit("setPhase", getPhase(room));
+    io.to(socket.id).emit("melds", getMelds(room));
+    io.to(socket.id).emit("scores", getScores(room));
+    const muted = gameData[room].mutes[user] || [];
+    io.to(socket.id).emit(
+      "chatHistory",
+      gameData[room].chat.filter(message => !muted.includes(message.userID))
+    );
+  });
+
+  /**
+   *
+   * leaveRoom
+   *
+   * The client emits a leaveRoom message when it leaves a room.  Before game play the
+   * user is deleted from the game room and their seat opens up again.  A user who leaves
+   * during the game forfeits (see forfeitPlayer), after the game they only disconnect.
+   * The socketId is removed from the room and the game room is deleted once it is
+   * abandoned (see isAbandoned).  When the host leaves the next player becomes host.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   */
+  on("leaveRoom", ({ room, user }) => {
+    const game = rooms[room];
+    if (!game.deck) unseatPlayer(room, user);
+    else {
+      socket.leave(room);
+      if (game.isGameOver()) game.disconnect(user);
+      else {
+        forfeitPlayer(room, user);
+        resumeIfWaitingFor(room, user);
+      }
+    }
+    if (isAbandoned(room)) deleteRoom(room);
+    else moveHost(room);
+  });
+
+  /**
+   *
+   * isGameOver
+   *
+   * isGameOver is emitted from the client after every round to check if - upon completeion
+   * of the round - the game is over.  The game is over once every round contract of the
+   * room has been played.  Returns the game status via its callback.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {function} callback - returns an envelope with a boolean value as data
+   */
+  on("isGameOver", ({ room }) => ack(rooms[room].isGameOver()), {
+    needsPlayer: false
+  });
+
+  /**
+   *
+   * getOtherPlayers
+   *
+   * Fetches all player data besides self.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   */
+  on("getOtherPlayers", ({ room, user }) => {
+    io.to(socket.id).emit("getOtherPlayers", getOtherPlayers(room, user));
+  });
+
+  /**
+   *
+   * getMelds
+   *
+   * Fetches all melds for a given game round.  Available to the players and the
+   * spectators of the room.
+   *
+   * @param {string} room - The room name used as the ID.
+   */
+  on(
+    "getMelds",
+    ({ room }) => {
+      checkWatching(room, socket.id);
+      io.to(socket.id).emit("melds", getMelds(room));
+    },
+    { needsPlayer: false }
+  );
+
+  /**
+   *
+   * drawCard
+   *
+   * Handles the drawing of a card from the deck into the requesting users hand.
+   * Only allowed once per turn after the buy phase.
+   * Emits a message to update the users hand on the client.
+   * Broadcasts a message to all other players in the room telling them the action
+   * that just took place in order to invoke an update.  Drawing the last card of the
+   * deck reshuffles the discard pile or ends the round if no cards are left.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   */
+  on("drawCard", ({ room, user }) => {
+    checkNotPaused(room);
+    const result = rooms[room].draw(user);
+    console.log(`${user} drew a card.`);
+    if (handleDrawResult(room, result)) return;
+    io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
+    socket.broadcast.to(room).emit("userDrewACard");
+    io.in(room).emit("setPhase", getPhase(room));
+  });
+
+  /**
+   *
+   * discardCard
+   *
+   * Handles the entire process of discarding a card from a users hand to the discard pile.
+   * Clears the timeout created to handle the discarding of a card in the event that the client
+   * does not emit a discardCard message in the allowed time frame.  Removes the card from the
+   * players hand and into the discard pile.  Emits messages for all needed game updates.
+   * Checks to see if discarding the card resulted in a player having 0 cards - essentially winning
+   * the round.  If so - alert client round is over and update scores otherwise increment turn.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   * @param {number} cardID - ID of the card to discard.
+   */
+  on("discardCard", ({ room, user, cardID }) => {
+    checkNotPaused(room);
+    removeCardFromPlayer(room, user, cardID);
+    console.log(`${user} discarded a card.`);
+    if (gameData[room].away.includes(user)) setAway(room, user, false);
+    delete gameData[room].missedTurns[user];
+    handleDiscard(room, user);
+  });
+
+  /**
+   *
+   * newMeld
+   *
+   * Attemps to create new meld(s) and alerts user of the status via the callback.
+   * When the meld is rejected the reason (such as TOO_SHORT or CONTRACT_NOT_MET) is
+   * the error code of the envelope.  Upon successful meld creation emits are made with
+   * relevant updated game data.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   * @param {array} melds - Array of arrays of card IDs, one array per meld
+   * @param {function} callback - Returns an envelope with the success / failure of meld
+   */
+  on("newMeld", ({ room, user, melds }, reply) => {
+    checkNotPaused(room);
+    newMeld(room, user, melds);
+    reply(ack());
+    io.in(room).emit("updateOpponentCards");
+    io.in(room).emit("melds", getMelds(room));
+    io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
+    io.in(room).emit("setPhase", getPhase(room));
+    snackBar(room, user, "MELD");
+  });
+
+  /**
+   *
+   * getOpponentCards
+   *
+   * Emits message containing current player data for all opponents to requesting user.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   */
+  on("getOpponentCards", ({ room, user }) => {
+    io.to(socket.id).emit("getOtherPlayers", getOtherPlayers(room, user));
+  });
 
   /**
    *
-   * CreateRoom
+   * buyProcess
    *
-   * Handles the creation process of and error handling of a clients request to
-   * create a new game room.  If successful - gameData is initialized and the requesting
-   * user is added to the game.
+   * Sets buy process timer if it is not set already and emits a timedEvent message
+   * to requesting user with the allowed time to buy a card.  Sets timeout to handle
+   * buy requests after allowed time.  A new buy process may only start during the
+   * buy phase.  Rooms without a buy window send a timer of null and wait for every
+   * player to answer instead (see checkBuyAnswers).
    *
    * @param {string} room - The room name used as the ID.
-   * @param {string} user - The requesting user ID.
-   * @param {string} userName - The requesting users name / alias.
-   * @param {integer} numberOfPlayers - The number of players required for the game (3 or 5).
-   * @param {function} callback - Returns an object with the room creation results
    */
-  socket.on(
-    "createRoom",
-    ({ room, user, userName, numberOfPlayers }, callback) => {
-      if (rooms[room]) {
-        console.log(`Room ${room} already exists.`);
-        callback({
-          success: false,
-          message:
-            "A room with this name already exists.  Please choose a different name."
-        });
-      } else {
-        console.log(`Creating room ${room}`);
-        rooms[room] = new mayi();
-        gameData[room] = {
-          timer: null,
-          buyers: [],
-          numberOfPlayers,
-          timeout: null
-        };
-        socket.join(room);
-        rooms[room].addPlayer(user, socket.id, userName);
-        console.log(`Added player ${user} : ${userName} to ${room}`);
-        callback({
-          success: true,
-          message: `Successfully created room ${room}.`
-        });
+  on(
+    "buyProcess",
+    ({ room }) => {
+      const data = gameData[room];
+      checkNotPaused(room);
+      if (!data.timers.has("BUY")) {
+        rooms[room].checkPhase(phases.BUY);
+        if (data.buyWindow !== null)
+          data.timers.start("BUY", data.buyWindow, handleCardBuyProcess, room);
       }
-    }
+      io.to(socket.id).emit("timedEvent", {
+        timer: data.timers.deadline("BUY"),
+        event: "BUY"
+      });
+    },
+    { needsPlayer: false }
   );
 
   /**
    *
-   * joinRoom
+   * buyCard
    *
-   * Handles the connection and reconnection to a provided game room.  On successful
-   * request to join room - if the room has reached capacity - a "gameReady" emit
-   * is executed to inform the client that the game is ready.
+   * Adds a user to the list of potential buyers for a particular discarded card.
+   * Only allowed during the buy phase.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
-   * @param {string} userName - The requesting users name / alias.
-   * @param {function} callback - Returns an object with the room connection results
+   */
+  on("buyCard", ({ room, user }) => {
+    checkNotPaused(room);
+    rooms[room].checkPhase(phases.BUY);
+    if (gameData[room].buyers.includes(user)) return;
+    console.log(`${user} is requesting to buy a card.`);
+    gameData[room].buyers.push(user);
+    checkBuyAnswers(room);
+  });
+
+  /**
+   *
+   * passBuy
    *
+   * Tells the room the requesting user does not want to buy the discarded card.  Rooms
+   * without a buy window end the buy phase once every player answered.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
    */
-  socket.on("joinRoom", ({ room, user, userName }, callback) => {
-    const game = rooms[room];
-    if (!game) {
-      callback({
-        success: false,
-        message: `Unable to join room ${room}.  No such room exists.`
-      });
-    } else if (
-      Object.keys(game.players).length >= gameData[room].numberOfPlayers
-    ) {
-      // if room is full check to see if any socketId's are empty
-      // allow player to join as disconnected user
-      const disconnectedPlayer = Object.keys(game.players).find(
-        player => game.players[player].socketId === null
-      );
-      if (!disconnectedPlayer) {
-        callback({
-          success: false,
-          message: `Unable to join room ${room}.  The maximum number of players has been reached.`
-        });
-      } else {
-        socket.join(room);
-        game.reconnect(disconnectedPlayer, user, socket.id);
-        callback({
-          success: true,
-          message: `Successfully rejoined room ${room}.`
-        });
-        io.to(socket.id).emit("reconnectEstablished");
-      }
-    } else {
-      socket.join(room);
-      console.log(`${user} joined room ${room}`);
-      console.log(`Added player ${user} : ${userName} to ${room}`);
-      game.addPlayer(user, socket.id, userName);
-      callback({
-        success: true,
-        message: `Successfully joined room ${room}.`
-      });
-      if (gameData[room].numberOfPlayers === Object.keys(game.players).length) {
-        game.deal();
-        io.in(room).emit("gameReady", "Game is Ready to start!");
-      }
-    }
+  on("passBuy", ({ room, user }) => {
+    checkNotPaused(room);
+    rooms[room].checkPhase(phases.BUY);
+    if (gameData[room].passes.includes(user)) return;
+    gameData[room].passes.push(user);
+    checkBuyAnswers(room);
   });
 
   /**
    *
-   * snackBar
+   * getTimers
+   *
+   * Returns the time left in the buy window and the current turn and the timer lengths
+   * of the room.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {function} callback - Returns an envelope with the timers as data ({buy, turn, buyWindow, turnLength})
+   */
+  on("getTimers", ({ room }) => ack(getTimers(room)), { needsPlayer: false });
+
+  /**
+   *
+   * hasMeld
    *
-   * SnackBar is a helper function that is called often.  It provides important
-   * game play updates such as turns, buys, and melds.
+   * Checks if a user has already submitted their round meld.  Used on the client side
+   * to check if a playable can swap with or lay down cards on an existing melds.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
-   * @param {string} action - The type of action (BUY, MELD, TURN)
+   * @param {function} callback - Returns an envelope with the meld status of a player as data
    */
-  const snackBar = (room, user, action) => {
-    io.in(room).emit("snackBar", {
-      userID: user,
-      name: rooms[room].players[user].name,
-      action
-    });
-  };
+  on("hasMeld", ({ room, user }) => ack(didPlayerMeld(room, user)));
 
   /**
    *
-   * startRound
+   * getHints
    *
-   * The client emits a startRound message upon receiving a gameReady message.
-   * startRound handles the initial game setup required to begin game play by emitting
-   * a series of messages containing the required data.
+   * Looks at the hand of the requesting user against the contract of the round and
+   * returns the melds they can lay down, the cards they can lay off on the melds on the
+   * table and the wild cards they can swap for.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
+   * @param {function} callback - Returns an envelope with the hints as data ({layDowns, layOffs, swaps})
    */
-  socket.on("startRound", ({ room, user }) => {
-    console.log("START ROUND");
-    console.log(room, user);
-    io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
-    io.to(socket.id).emit("getOtherPlayers", getOtherPlayers(room, user));
-    io.to(socket.id).emit("getCurrentRound", getCurrentRound(room));
-    io.to(socket.id).emit("deck", getDeck(room));
-    io.to(socket.id).emit("setTurn", getTurn(room));
-    io.to(socket.id).emit("melds", getMelds(room));
-    io.to(socket.id).emit("scores", getScores(room));
-    snackBar(room, getTurn(room), "TURN");
-  });
+  on("getHints", ({ room, user }) => ack(rooms[room].getHints(user)));
 
   /**
    *
-   * reconnectToGame
+   * canSwapWithMeld
+   *
+   * Checks whether a meld is swappable.  A meld is swappable if three conditions are met
+   * 1) contains a wild card
+   * 2) the meld is still valid after the swap
+   * 3) the meld was NOT created by the user requesting the swap
+   * Returns the whether or not the user may swap via callback.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   * @param {string} meldDropID - The ID of the meld to swap with.
+   * @param {number} cardID - ID of the card to replace the wild card with.
+   * @param {function} callback - Returns an envelope with the result of the swap as data
+   */
+  on("canSwapWithMeld", ({ room, user, meldDropID, cardID }) =>
+    ack(rooms[room].canSwapWithMeld(user, cardID, meldDropID))
+  );
+
+  /**
+   *
+   * swapWithMeld
+   *
+   * swaps a card with a wild card currently in a meld and handles game data updates.
    *
-   * The client emits a reconnectToGame message upon receiving a reconnectEstablished message.
-   * Similar to startRound recconectToGame send all requireed game play data but at any
-   * particular point in the game.
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
+   * @param {string} meldDropID - The ID of the meld to swap with.
+   * @param {number} cardID - ID of the card to replace the wild card with.
    */
-  socket.on("reconnectToGame", ({ room, user }) => {
+  on("swapWithMeld", ({ room, user, meldDropID, cardID }) => {
+    checkNotPaused(room);
+    rooms[room].swapWithMeld(user, cardID, meldDropID);
     io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
-    io.to(socket.id).emit("getOtherPlayers", getOtherPlayers(room, user));
-    io.to(socket.id).emit("getCurrentRound", getCurrentRound(room));
-    io.to(socket.id).emit("deck", getDeck(room));
-    io.to(socket.id).emit("melds", getMelds(room));
-    io.to(socket.id).emit("scores", getScores(room));
+    io.to(room).emit("updateAfterMeldDropOrSwap");
   });
 
   /**
    *
-   * leaveRoom
+   * addToMeld
    *
-   * The client emits a leaveRoom message only when it leaves a room it has just created
-   * or joined that has not begun game play.  Delete the user from the game room, remove
-   * the socketId from the room and delete the game room if applicable.
+   * Simply places a users card to an existing meld.  When the card does not fit the
+   * meld the reason (such as NOT_CONSECUTIVE) is the error code of the envelope.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
+   * @param {string} meldDropID - The ID of the meld to add to.
+   * @param {number} cardID - ID of the card to add to the meld.
    */
-  socket.on("leaveRoom", ({ room, user }, callback) => {
-    delete rooms[room].players[user];
-    if (Object.keys(rooms[room].players).length === 0) delete rooms[room];
-    socket.leave(room);
-    callback();
+  on("addToMeld", ({ room, user, meldDropID, cardID }) => {
+    checkNotPaused(room);
+    rooms[room].addToMeld(user, cardID, meldDropID);
+    io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
+    io.to(room).emit("updateAfterMeldDropOrSwap");
+    io.in(room).emit("setPhase", getPhase(room));
   });
 
   /**
    *
-   * isGameOver
+   * spectateRoom
    *
-   * isGameOver is emitted from the client after every round to check if - upon completeion
-   * of the round - the game is over.  Returns the game status via its callback.
+   * Joins a room as a spectator.  Spectators receive every message sent to the room
+   * but only public game data - never the hand of a player.  Returns the public state
+   * of the room.  Rejected when the room does not allow spectators or is at its limit.
    *
    * @param {string} room - The room name used as the ID.
-   * @param {function} callback - returns boolean value
+   * @param {string} userName - The spectators name / alias.
+   * @param {function} callback - Returns an envelope with the public state of the room as data
    */
-  socket.on("isGameOver", ({ room }, callback) => {
-    if (rooms[room].round > 6) callback(true);
-    callback(false);
-  });
+  on(
+    "spectateRoom",
+    ({ room, userName = "guest" }) => {
+      const data = gameData[room];
+      if (!data.allowSpectators)
+        throw new GameError(
+          "SPECTATING_DISABLED",
+          `Room ${room} does not allow spectators.`
+        );
+      if (getSocketPlayer(room, socket.id))
+        throw new GameError(
+          "ALREADY_PLAYING",
+          `You are already playing in room ${room}.`
+        );
+      if (
+        !data.spectators[socket.id] &&
+        data.maxSpectators !== null &&
+        Object.keys(data.spectators).length >= data.maxSpectators
+      )
+        throw new GameError(
+          "SPECTATORS_FULL",
+          `Room ${room} has reached its maximum number of spectators.`
+        );
+      data.spectators[socket.id] = userName;
+      socket.join(room);
+      console.log(`${userName} is spectating room ${room}`);
+      return ack(getPublicState(room), `Spectating room ${room}.`);
+    },
+    { needsPlayer: false }
+  );
 
   /**
    *
-   * getOtherPlayers
+   * getPublicState
    *
-   * Fetches all player data besides self.
+   * Returns the public state of a room: melds, deck count, top discard, scores, turn,
+   * phase and the card count of every player.  Used by spectators to follow the game.
+   * Available to the players and the spectators of the room.
    *
    * @param {string} room - The room name used as the ID.
-   * @param {string} user - The requesting user ID.
+   * @param {function} callback - Returns an envelope with the public state of the room as data
    */
-  socket.on("getOtherPlayers", ({ room, user }) => {
-    io.to(socket.id).emit("getOtherPlayers", getOtherPlayers(room, user));
-  });
+  on(
+    "getPublicState",
+    ({ room }) => {
+      checkWatching(room, socket.id);
+      return ack(getPublicState(room));
+    },
+    { needsPlayer: false }
+  );
 
   /**
    *
-   * getMelds
+   * stopSpectating
    *
-   * Fetches all melds for a given game round.
+   * Leaves a room the socket is spectating.
    *
    * @param {string} room - The room name used as the ID.
    */
-  socket.on("getMelds", ({ room }) => {
-    io.to(socket.id).emit("melds", getMelds(room));
-  });
+  on(
+    "stopSpectating",
+    ({ room }) => {
+      if (!gameData[room].spectators[socket.id])
+        throw new GameError(
+          "NOT_SPECTATING",
+          `You are not spectating room ${room}.`
+        );
+      delete gameData[room].spectators[socket.id];
+      socket.leave(room);
+    },
+    { needsPlayer: false }
+  );
 
   /**
    *
-   * drawCard
+   * setSpectating
    *
-   * Handles the drawing of a card from the deck into the requesting users hand.
-   * Emits a message to update the users hand on the client.
-   * Broadcasts a message to all other players in the room telling them the action
-   * that just took place in order to invoke an update
+   * Lets the host of a room allow or disallow spectators and limit their number.
+   * Disallowing spectators removes everyone currently spectating.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
+   * @param {boolean} allowSpectators - Whether others may watch the game.
+   * @param {integer} maxSpectators - Maximum number of spectators or null for no limit.
    */
-  socket.on("drawCard", ({ room, user }) => {
-    console.log(`${user} drew a card.`);
-    rooms[room].draw(user);
-    io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
-    socket.broadcast.to(room).emit("userDrewACard");
-  });
+  on(
+    "setSpectating",
+    ({
+      room,
+      user,
+      allowSpectators = gameData[room].allowSpectators,
+      maxSpectators = gameData[room].maxSpectators
+    }) => {
+      const data = gameData[room];
+      checkHost(room, user, "change spectating");
+      checkSpectatorSettings(allowSpectators, maxSpectators);
+      data.allowSpectators = allowSpectators;
+      data.maxSpectators = maxSpectators;
+      if (allowSpectators) return;
+      for (let id in data.spectators) {
+        const spectator = io.sockets.connected[id];
+        if (spectator) {
+          spectator.leave(room);
+          io.to(id).emit("spectatingEnded", room);
+        }
+      }
+      data.spectators = {};
+    }
+  );
 
   /**
    *
-   * discardCard
+   * sendChat
    *
-   * Handles the entire process of discarding a card from a users hand to the discard pile.
-   * Clears the timeout created to handle the discarding of a card in the event that the client
-   * does not emit a discardCard message in the allowed time frame.  Removes the card from the
-   * players hand and into the discard pile.  Emits messages for all needed game updates.
-   * Checks to see if discarding the card resulted in a player having 0 cards - essentially winning
-   * the round.  If so - alert client round is over and update scores otherwise increment turn.
+   * Sends a chat message to everyone in the room except the players who muted the
+   * sender.  The message is kept in the recent history of the room.  Messages are
+   * limited in length and a player may only send a few messages in a short time.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
-   * @param {object} card - Card object to discard.
+   * @param {string} text - The message.
    */
-  socket.on("discardCard", ({ room, user, card }) => {
-    console.log(`${user} discarded a card.`);
-    clearTimeout(gameData[room].timeout);
-    gameData[room].timeout = null;
-    gameData[room].timer = null;
-    removeCardFromPlayer(room, user, card);
-    io.in(room).emit("updateOpponentCards");
-    io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
-    io.in(room).emit("discardCard", { success: true });
-    io.in(room).emit("deck", getDeck(room));
-    if (rooms[room].players[user].hand.length === 0) {
-      rooms[room].endRound();
-      io.in(room).emit("scores", getScores(room));
-      io.in(room).emit("roundFinished", rooms[room].players[user].name);
-    } else {
-      io.in(room).emit("setTurn", getTurn(room));
-      snackBar(room, getTurn(room), "TURN");
+  on("sendChat", ({ room, user, text }) => {
+    const data = gameData[room];
+    if (!data.chatEnabled)
+      throw new GameError("CHAT_DISABLED", "Chat is turned off in this room.");
+    if (typeof text !== "string" || !text.trim())
+      throw new GameError("EMPTY_MESSAGE", "The message is empty.");
+    if (text.length > maxChatLength)
+      throw new GameError(
+        "MESSAGE_TOO_LONG",
+        `Messages can be at most ${maxChatLength} characters long.`
+      );
+    const now = Date.now();
+    const times = (data.chatTimes[user] || []).filter(
+      time => now - time < chatRateInterval
+    );
+    if (times.length >= chatRateLimit)
+      throw new GameError(
+        "RATE_LIMITED",
+        "You are sending messages too quickly.  Please wait a moment."
+      );
+    data.chatTimes[user] = [...times, now];
+    const message = {
+      userID: user,
+      name: rooms[room].players[user].name,
+      text: text.trim(),
+      time: now
+    };
+    data.chat = [...data.chat, message].slice(-chatHistoryLength);
+    // every player that did not mute the sender and every spectator
+    const game = rooms[room];
+    for (let player in game.players) {
+      const muted = data.mutes[player] || [];
+      if (game.players[player].socketId && !muted.includes(user))
+        io.to(game.players[player].socketId).emit("chatMessage", message);
     }
+    for (let spectator in data.spectators)
+      io.to(spectator).emit("chatMessage", message);
   });
 
   /**
    *
-   * newMeld
+   * muteChat
    *
-   * Attemps to create new meld(s) and alerts user of the status via the callback.
-   * Upon successful meld creation emits are made with relevant updated game data.
+   * Mutes or unmutes the chat messages of another player for the requesting user.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
-   * @param {array} melds - Array of Meld objects
-   * @param {function} callback - Returns the the success / failure of meld
+   * @param {string} player - The ID of the player to mute.
+   * @param {boolean} muted - Mute (default) or unmute the player.
    */
-  socket.on("newMeld", ({ room, user, melds }, callback) => {
-    const didCreateNewMeld = newMeld(room, user, melds);
-    callback(didCreateNewMeld);
-    if (didCreateNewMeld) {
-      io.in(room).emit("updateOpponentCards");
-      io.in(room).emit("melds", getMelds(room));
-      io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
-      snackBar(room, user, "MELD");
-    }
+  on("muteChat", ({ room, user, player, muted = true }) => {
+    const data = gameData[room];
+    if (!rooms[room].players[player] || player === user)
+      throw new GameError(
+        "UNKNOWN_PLAYER",
+        `Player ${player} is not another player in room ${room}.`
+      );
+    const mutes = (data.mutes[user] || []).filter(id => id !== player);
+    data.mutes[user] = muted ? [...mutes, player] : mutes;
   });
 
   /**
    *
-   * getOpponentCards
+   * setChat
    *
-   * Emits message containing current player data for all opponents to requesting user.
+   * Lets the host of a room turn chat on or off.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
+   * @param {boolean} enabled - Whether chat is allowed in the room.
    */
-  socket.on("getOpponentCards", ({ room, user }) => {
-    io.to(socket.id).emit("getOtherPlayers", getOtherPlayers(room, user));
+  on("setChat", ({ room, user, enabled }) => {
+    checkHost(room, user, "turn chat on or off");
+    if (typeof enabled !== "boolean")
+      throw new GameError("INVALID_OPTIONS", "Chat must be either on or off.");
+    gameData[room].chatEnabled = enabled;
+    io.in(room).emit("chatEnabled", enabled);
   });
 
   /**
    *
-   * handleDiscardCard
+   * addBot
    *
-   * Function that gets invoked by a timeout created at the end of each updateAfterBuy message.
-   * This function allows the server to automatically discard a random card from a players hand
-   * if they do NOT do so in the allowed time frame.  This function does not run and the timer
-   * is canceled if the client sucessfully emits a discardCard message.  This allows the game to
-   * continue if a user disconnects.  Function determines the current user and selects a random
-   * card and discards it.  Nulls out the current time and timers.  Updates the room with
-   * corresponding game data.
+   * Lets the host of a room fill a seat with a bot.  Without a player the bot joins as
+   * a new player and the game is dealt once the room is full.  With a player the bot
+   * takes over the seat of that disconnected player until they rejoin.
    *
    * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   * @param {string} level - The difficulty level of the bot (EASY or HARD).
+   * @param {string} player - The ID of a disconnected player to take over (optional).
    */
-  const handleDiscardCard = room => {
-    gameData[room].timeout = null;
-    gameData[room].timer = null;
+  on("addBot", ({ room, user, level = "EASY", player = null }, reply) => {
     const game = rooms[room];
-    const user = game.turnOrder[game.turn];
-    const card =
-      game.players[user].hand[
-        Math.floor(Math.random() * Math.floor(game.players[user].hand.length))
-      ];
-    console.log(`${user} drew a card.`);
-    removeCardFromPlayer(room, user, card);
-    io.to(game.players[user].socketId).emit(
-      "getMyPlayer",
-      getMyPlayer(room, user)
-    );
-    io.in(room).emit("updateOpponentCards");
-    io.in(room).emit("discardCard", { success: true });
-    io.in(room).emit("deck", getDeck(room));
-    io.in(room).emit("setTurn", getTurn(room));
-    snackBar(room, getTurn(room), "TURN");
-  };
+    const data = gameData[room];
+    checkHost(room, user, "add bots");
+    if (!botLevels.includes(level))
+      throw new GameError(
+        "INVALID_BOT_LEVEL",
+        `The level of a bot must be one of ${botLevels.join(", ")}.`
+      );
+    if (player !== null) {
+      if (
+        !game.players[player] ||
+        game.players[player].socketId !== null ||
+        data.bots[player]
+      )
+        throw new GameError(
+          "SEAT_TAKEN",
+          `Player ${player} is not a disconnected player.`
+        );
+      data.bots[player] = new Bot(game, player, level);
+      data.timers.clear(`GRACE-${player}`);
+      console.log(`A bot took over the seat of ${player} in ${room}`);
+      reply(
+        ack(null, `A bot took over the seat of ${game.players[player].name}.`)
+      );
+      resumeIfWaitingFor(room, player);
+      runBots(room);
+      return;
+    }
+    if (Object.keys(game.players).length >= data.numberOfPlayers)
+      throw new GameError(
+        "ROOM_FULL",
+        `Unable to add a bot to room ${room}.  The maximum number of players has been reached.`
+      );
+    let n = 1;
+    while (game.players[`bot-${n}`]) n++;
+    const id = `bot-${n}`;
+    game.addPlayer(id, null, `Bot ${n}`);
+    data.bots[id] = new Bot(game, id, level);
+    console.log(`Added bot ${id} to ${room}`);
+    reply(ack({ id }, `Added Bot ${n} to room ${room}.`));
+    dealIfFull(room);
+  });
 
   /**
    *
-   * handleCardBuyProcess
+   * startGame
    *
-   * Function is called by a timeout set in buyProcess.  After the allowed time to make a
-   * buy decision the function checks if any user requested to buy the card (stored in gameData)
-   * and handles the buy request.  Clears the room timer. Emits messages notifiying players of
-   * a sucessful buy or if there was no buy to continue game play.
+   * Lets the host of a room start the game with the players present before every seat
+   * is taken.  The room then has as many seats as players and no one else can join.
    *
    * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
    */
-  const handleCardBuyProcess = room => {
-    gameData[room].timer = null;
-    let buyer = null;
-    if (gameData[room].buyers.length) {
-      buyer = rooms[room].determineBuy(gameData[room].buyers);
-      if (buyer) {
-        rooms[room].buy(buyer);
-        snackBar(room, buyer, "BUY");
-      }
-    }
-    gameData[room].buyers = [];
-    io.to(room).emit("buyFinalized");
-  };
+  on("startGame", ({ room, user }) => {
+    const game = rooms[room];
+    checkHost(room, user, "start the game");
+    if (game.deck)
+      throw new GameError(
+        "GAME_STARTED",
+        `The game in room ${room} has already started.`
+      );
+    const seatsTaken = Object.keys(game.players).length;
+    if (seatsTaken < 2)
+      throw new GameError(
+        "NOT_ENOUGH_PLAYERS",
+        "A game needs at least 2 players."
+      );
+    gameData[room].numberOfPlayers = seatsTaken;
+    console.log(`${user} started room ${room} with ${seatsTaken} players`);
+    dealIfFull(room);
+  });
 
   /**
    *
-   * buyProcess
+   * kickPlayer
    *
-   * Sets buy process timer if it is not set already and emits a timedEvent message
-   * to requesting user with the allowed time to buy a card.  Sets timeout to handle
-   * buy requests after allowed time.
+   * Lets the host of a room remove a player or bot.  Before the game is dealt the seat
+   * opens up again, during the game the player forfeits (see forfeitPlayer).  A player
+   * who was kicked cannot join the room again.
    *
    * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   * @param {string} player - The ID of the player to remove.
    */
-  socket.on("buyProcess", ({ room }) => {
-    // set timer to 15 seconds from now
-    if (!gameData[room].timer) {
-      gameData[room].timer = Date.now() + 15000;
-      setTimeout(handleCardBuyProcess, 15000, room);
-    }
-    io.to(socket.id).emit("timedEvent", {
-      timer: gameData[room].timer,
-      event: "BUY"
-    });
+  on("kickPlayer", ({ room, user, player }) => {
+    const game = rooms[room];
+    checkHost(room, user, "kick players");
+    if (player === user)
+      throw new GameError(
+        "INVALID_PLAYER",
+        "The host cannot kick themselves.  Leave the room instead."
+      );
+    if (!game.players[player] || game.players[player].forfeited)
+      throw new GameError(
+        "UNKNOWN_PLAYER",
+        `Player ${player} is not in room ${room}.`
+      );
+    const { name, socketId } = game.players[player];
+    gameData[room].kicked.push(player);
+    console.log(`${user} kicked ${player} from room ${room}`);
+    if (socketId) io.to(socketId).emit("kicked", room);
+    if (game.deck) {
+      const socket = socketId && io.sockets.connected[socketId];
+      if (socket) socket.leave(room);
+      forfeitPlayer(room, player);
+      resumeIfWaitingFor(room, player);
+    } else unseatPlayer(room, player);
+    io.in(room).emit("playerKicked", { userID: player, name });
   });
 
   /**
    *
-   * buyCard
+   * lockRoom
    *
-   * Adds a user to the list of potential buyers for a particular discarded card.
+   * Lets the host of a room lock or unlock it.  Nobody can take an open seat of a locked
+   * room and it is not listed in the lobby.  Players can still rejoin their own seat.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
+   * @param {boolean} locked - Whether the room is locked.
    */
-  socket.on("buyCard", ({ room, user }) => {
-    console.log(`${user} is requesting to buy a card.`);
-    gameData[room].buyers.push(user);
+  on("lockRoom", ({ room, user, locked }) => {
+    checkHost(room, user, "lock the room");
+    gameData[room].locked = locked;
+    console.log(`Room ${room} is ${locked ? "locked" : "unlocked"}`);
+    io.in(room).emit("roomLocked", locked);
+    if (gameData[room].isPublic) updateLobby();
   });
 
   /**
    *
-   * hasMeld
+   * transferHost
    *
-   * Checks if a user has already submitted their round meld.  Used on the client side
-   * to check if a playable can swap with or lay down cards on an existing melds.
+   * Lets the host of a room hand their host rights to another connected player.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
-   * @param {boolean} callback - Returns meld status of a player
+   * @param {string} player - The ID of the new host.
    */
-  socket.on("hasMeld", ({ room, user }, callback) => {
-    callback(didPlayerMeld(room, user));
+  on("transferHost", ({ room, user, player }) => {
+    const game = rooms[room];
+    checkHost(room, user, "transfer the host rights");
+    if (
+      !game.players[player] ||
+      game.players[player].forfeited ||
+      game.players[player].socketId === null ||
+      gameData[room].bots[player]
+    )
+      throw new GameError(
+        "INVALID_PLAYER",
+        `Player ${player} is not a connected player in room ${room}.`
+      );
+    setHost(room, player);
   });
 
   /**
    *
-   * canSwapWithMeld
+   * setAway
    *
-   * Checks whether a meld is swappable.  A meld is swappable if three conditions are met
-   * 1) contains a "2" wild card
-   * 2) the meld is still valid after the swap
-   * 3) the meld was NOT created by the user requesting the swap
-   * Returns the whether or not the user may swap via callback.
+   * Marks the requesting user as away or back.  The turns of a player who is away are
+   * played for them.  Players whose turns time out repeatedly are marked away by the
+   * server and come back with this event or by discarding themselves.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
-   * @param {string} meldDropID - The ID of the meld to swap with.
-   * @param {object} card - A card object to replace during the swap.
-   * @param {boolean} callback - Returns result of the swap
-   */
-  socket.on("canSwapWithMeld", ({ room, user, meldDropID, card }, callback) => {
-    meldDropID = parseInt(meldDropID);
-    let currentMeld = rooms[room].melds.find(m => m.id === meldDropID);
-    if (currentMeld.playerID !== user) {
-      let cards = [...currentMeld.cards];
-      let idx = cards.findIndex(c => c.order === 2);
-      if (idx > -1) {
-        cards.splice(idx, 1, card);
-        if (rooms[room].isValidMeld(cards)) {
-          callback(true);
-          return;
-        }
-      }
+   * @param {boolean} away - Whether the user is away.
+   */
+  on("setAway", ({ room, user, away }) => {
+    if (gameData[room].away.includes(user) === away) return;
+    setAway(room, user, away);
+    if (away && rooms[room].deck && getTurn(room) === user) {
+      // play the current turn right away
+      gameData[room].timers.clear("TURN");
+      if (!gameData[room].paused) startTurnTimer(room);
     }
-    callback(false);
   });
 
   /**
    *
-   * swapWithMeld
+   * pauseGame
    *
-   * swaps a card with a "2" wild card currently in a meld and handles game data updates.
+   * Lets the host of a room pause the game.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
-   * @param {string} meldDropID - The ID of the meld to swap with.
-   * @param {object} card - A card object to replace during the swap.
    */
-  socket.on("swapWithMeld", ({ room, user, meldDropID, card }) => {
-    if (rooms[room].swapWithMeld(user, card, parseInt(meldDropID))) {
-      io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
-      io.to(room).emit("updateAfterMeldDropOrSwap");
-    }
+  on("pauseGame", ({ room, user }) => {
+    checkHost(room, user, "pause the game");
+    if (!rooms[room].deck || rooms[room].isGameOver())
+      throw new GameError("NOT_PLAYING", "The game is not being played.");
+    checkNotPaused(room);
+    pauseGame(room, "HOST", user);
   });
 
   /**
    *
-   * addToMeld
+   * resumeGame
    *
-   * Simply places a users card to an existing meld
+   * Lets the host of a room resume a paused game, no matter why it was paused.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
-   * @param {string} meldDropID - The ID of the meld to swap with.
-   * @param {object} card - A card object to replace during the swap.
    */
-  socket.on("addToMeld", ({ room, user, meldDropID, card }) => {
-    if (rooms[room].addToMeld(user, card, parseInt(meldDropID))) {
-      io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
-      io.to(room).emit("updateAfterMeldDropOrSwap");
+  on("resumeGame", ({ room, user }) => {
+    checkHost(room, user, "resume the game");
+    if (!gameData[room].paused)
+      throw new GameError("NOT_PAUSED", "The game is not paused.");
+    resumeGame(room);
+  });
+
+  /**
+   *
+   * votePause
+   *
+   * Votes to pause a running game or to resume a paused one.  The game is paused or
+   * resumed once more than half of the connected players voted for it.  The votes are
+   * cleared whenever the game is paused or resumed.
+   *
+   * @param {string} room - The room name used as the ID.
+   * @param {string} user - The requesting user ID.
+   * @param {function} callback - Returns an envelope with the votes and the number of players as data ({votes, players})
+   */
+  on("votePause", ({ room, user }) => {
+    const game = rooms[room];
+    const data = gameData[room];
+    if (!game.deck || game.isGameOver())
+      throw new GameError("NOT_PLAYING", "The game is not being played.");
+    if (!data.pauseVotes.includes(user))
+      data.pauseVotes = [...data.pauseVotes, user];
+    const players = Object.keys(game.players).filter(
+      id => game.players[id].socketId !== null
+    );
+    const votes = data.pauseVotes.filter(id => players.includes(id)).length;
+    io.in(room).emit("pauseVotes", {
+      votes,
+      players: players.length,
+      paused: Boolean(data.paused)
+    });
+    if (votes * 2 > players.length) {
+      if (data.paused) resumeGame(room);
+      else pauseGame(room, "VOTE", user);
     }
+    return ack({ votes, players: players.length });
   });
 
+  /**
+   *
+   * joinLobby
+   *
+   * Follows the lobby.  The socket receives a lobby message with the open public rooms
+   * whenever a public room is created, a seat is taken or left or a game starts.
+   *
+   * @param {function} callback - Returns an envelope with the open public rooms as data
+   */
+  on(
+    "joinLobby",
+    () => {
+      socket.join(lobby);
+      return ack(getOpenRooms());
+    },
+    { needsRoom: false }
+  );
+
+  /**
+   *
+   * leaveLobby
+   *
+   * Stops following the lobby.
+   *
+   */
+  on(
+    "leaveLobby",
+    () => {
+      socket.leave(lobby);
+    },
+    { needsRoom: false }
+  );
+
+  /**
+   *
+   * quickMatch
+   *
+   * Seats the requesting user in a public room for the requested number of players.
+   * The open room with the fewest open seats is filled first, when there is none a new
+   * room is created.  The game starts as soon as the last seat is taken.
+   *
+   * @param {string} user - The requesting user ID.
+   * @param {string} userName - The requesting users name / alias.
+   * @param {integer} numberOfPlayers - The number of players of the game (3 to 5).
+   * @param {function} callback - Returns an envelope with the ID of the room and the reconnect token as data ({room, token})
+   */
+  on(
+    "quickMatch",
+    ({ user, userName, numberOfPlayers }, reply) => {
+      if (!quickMatchSizes.includes(numberOfPlayers))
+        throw new GameError(
+          "INVALID_OPTIONS",
+          `A quick match is for ${quickMatchSizes.join(", ")} players.`
+        );
+      const open = getOpenRooms().filter(
+        ({ room }) =>
+          gameData[room].numberOfPlayers === numberOfPlayers &&
+          !rooms[room].players[user] &&
+          !gameData[room].kicked.includes(user) &&
+          !getSocketPlayer(room, socket.id)
+      );
+      let room;
+      if (open.length) {
+        ({ room } = open.sort((a, b) => a.openSeats - b.openSeats)[0]);
+      } else {
+        do room = `quick-${++quickMatchCount}`;
+        while (rooms[room]);
+        createRoom(room, null, { numberOfPlayers, isPublic: true });
+      }
+      seatPlayer(room, socket, user, userName);
+      reply(
+        ack({ room, token: signToken(room, user) }, `Joined room ${room}.`)
+      );
+      dealIfFull(room);
+    },
+    { needsRoom: false }
+  );
+
   /**
    *
    * updateAfterBuy
    *
-   * Called by client after every buy period in game play (preceding a users 50 second turn).
+   * Called by client after every buy period in game play (preceding a users timed turn).
    * Updates all relevant game data.
-   * sets a new timer and timeout to handle a players turn length.
+   * sets a new timer and timeout to handle a players turn length unless the game is paused.
    *
    * @param {string} room - The room name used as the ID.
    * @param {string} user - The requesting user ID.
    * @param {function} callback - returns acknowledgment of message
    */
-  socket.on("updateAfterBuy", ({ room, user }, callback) => {
+  on("updateAfterBuy", ({ room, user }, reply) => {
+    checkDealt(room);
     io.to(socket.id).emit("getMyPlayer", getMyPlayer(room, user));
     io.to(socket.id).emit("getOtherPlayers", getOtherPlayers(room, user));
     io.to(socket.id).emit("deck", getDeck(room));
-    callback(true);
-    if (!gameData[room].timer) {
-      gameData[room].timer = Date.now() + 50000;
-      gameData[room].timeout = setTimeout(handleDiscardCard, 50000, room);
-      io.in(room).emit("timedEvent", {
-        timer: gameData[room].timer,
-        event: "TURN"
-      });
-    }
+    reply(ack());
+    if (!gameData[room].paused) startTurnTimer(room);
   });
 
   /**
@@ -683,7 +2629,7 @@ io.on("connection", socket => {
    * disconnecting is a built in feature that is emitted when a user is in the act of
    * disconnecting.  We use it to remove the id associate with a players profile in each
    * game room that the disconnecting user is in.  This allows the user to later reconnect
-   * as the same user.
+   * as the same user.  During a game their seat is held for the grace period of the room.
    *
    */
   socket.on("disconnecting", () => {
@@ -691,11 +2637,17 @@ io.on("connection", socket => {
       room => room !== socket.id
     );
     connectedRooms.forEach(room => {
-      for (let player in rooms[room].players) {
-        if (rooms[room].players[player].socketId === socket.id) {
-          rooms[room].disconnect(player);
-        }
+      if (!rooms[room]) return;
+      delete gameData[room].spectators[socket.id];
+      const player = getSocketPlayer(room, socket.id);
+      if (!player) return;
+      rooms[room].disconnect(player);
+      if (rooms[room].deck && !rooms[room].isGameOver()) {
+        reserveSeat(room, player);
+        // the game waits for the player whose turn it is
+        if (getTurn(room) === player) pauseGame(room, "DISCONNECT", player);
       }
+      moveHost(room);
     });
   });
 
@@ -0,0 +1,277 @@
+const { Meld } = require("./MayI"); /** mayi melds */
+
+/** Difficulty levels of a bot: EASY plays what it can, HARD also plans its buys, swaps and discards */
+const botLevels = ["EASY", "HARD"];
+
+/** Class representing a computer controlled player */
+class Bot {
+  /**
+   *
+   * Create a bot
+   * A bot makes the decisions for one seat of a game.  It only decides what to do,
+   * the actions themselves go through the MayI game like those of any other player.
+   *
+   * @param {MayI} game - The game the bot plays in.
+   * @param {string} id - The id of the player the bot plays for.
+   * @param {string} level - The difficulty level of the bot (see botLevels).
+   *
+   */
+  constructor(game, id, level = "EASY") {
+    this.game = game;
+    this.id = id;
+    this.level = level;
+  }
+
+  /**
+   *
+   * getHand
+   * Gets the cards in the hand of the bot.
+   * @return {array} returns an array of Card objects.
+   *
+   */
+  getHand() {
+    return this.game.players[this.id].hand;
+  }
+
+  /**
+   *
+   * getCard
+   * Finds a card in the hand of the bot.
+   * @param {number} cardID - id of the card.
+   * @return {Card} returns the card.
+   *
+   */
+  getCard(cardID) {
+    return this.getHand().find(card => card.id === cardID);
+  }
+
+  /**
+   *
+   * isWild
+   * Checks whether a card is wild in the game of the bot.
+   * @param {Card} card - card object.
+   * @return {boolean} returns true if the card is wild, false otherwise.
+   *
+   */
+  isWild(card) {
+    return Meld.isWild(card, this.game.options);
+  }
+
+  /**
+   *
+   * usefulness
+   * Scores how much a card helps a hand towards its contract.  When the contract has
+   * sets every other card of the same rank counts two points, as long as the set still
+   * needs cards.  When it has runs every rank of the same suit next to it counts two
+   * points and one rank further away one point.  Wild cards are always useful.
+   *
+   * @param {Card} card - card object.
+   * @param {array} hand - Array of card objects the card is compared to.
+   * @return {number} returns the score of the card.
+   *
+   */
+  usefulness(card, hand) {
+    if (this.isWild(card)) return Infinity;
+    const contract = this.game.getContract();
+    // once melded any set or run can be laid down
+    const melded = this.game.hasMeld(this.id);
+    const sets = melded || contract.sets > 0;
+    const runs = melded || contract.runs > 0;
+    const setLength = melded
+      ? this.game.options.minMeldLength
+      : contract.setLength;
+    let sameRank = 0;
+    const neighbours = new Set();
+    for (let other of hand) {
+      if (other.id === card.id || this.isWild(other)) continue;
+      const distance = Math.abs(other.order - card.order);
+      if (distance === 0) sameRank++;
+      else if (other.suit === card.suit && distance <= 2)
+        neighbours.add(other.order);
+    }
+    let score = 0;
+    if (sets) score += Math.min(sameRank, setLength - 1) * 2;
+    if (runs)
+      for (let rank of neighbours) score += 3 - Math.abs(rank - card.order);
+    return score;
+  }
+
+  /**
+   *
+   * wantsToBuy
+   * Decides whether to ask for the top card of the discard pile during the buy phase.
+   * Buying costs a buy and an extra card so bots only buy before they have melded.
+   * An EASY bot only buys wild cards, a HARD bot also buys cards that fit its hand.
+   * Any card is bought while the hand is too small to meet the contract and still
+   * keep a card to discard.
+   *
+   * @return {boolean} returns true if the bot wants to buy the card.
+   *
+   */
+  wantsToBuy() {
+    const { buys, hand } = this.game.players[this.id];
+    const discarded = this.game.deck.discarded;
+    if (!discarded.length || !buys || this.game.hasMeld(this.id)) return false;
+    const { sets, runs, setLength, runLength } = this.game.getContract();
+    if (hand.length < sets * setLength + runs * runLength) return true;
+    const card = discarded[discarded.length - 1];
+    if (this.isWild(card)) return this.level === "HARD" || buys > 3;
+    return this.level === "HARD" && this.usefulness(card, hand) >= 3;
+  }
+
+  /**
+   *
+   * progress
+   * Measures how close a hand is to meeting the contract.  For each meld of the contract
+   * the group of natural cards that fills most of it is picked, then the wild cards
+   * fill what is still missing.
+   *
+   * @param {array} hand - Array of card objects.
+   * @return {number} returns the number of cards of the contract the hand already has.
+   *
+   */
+  progress(hand) {
+    const { sets, runs, setLength, runLength } = this.game.getContract();
+    const used = new Set();
+    let wilds = hand.filter(card => this.isWild(card)).length;
+    let missing = 0;
+    let score = 0;
+    const needed = [
+      ...new Array(sets).fill(["SET", setLength]),
+      ...new Array(runs).fill(["RUN", runLength])
+    ];
+    for (let [type, length] of needed) {
+      const naturals = hand.filter(
+        card => !this.isWild(card) && !used.has(card.id)
+      );
+      const candidates =
+        type === "SET"
+          ? Meld.setCandidates(naturals, length)
+          : Meld.runCandidates(naturals, length, this.game.options);
+      let best = [];
+      for (let { cards, wilds: gaps } of candidates) {
+        // a stretch of a run only counts if it fits in a single run
+        if (cards.length + gaps > length && gaps > wilds) continue;
+        if (Math.min(cards.length, length) > best.length)
+          best = cards.slice(0, length);
+      }
+      best.forEach(card => used.add(card.id));
+      score += best.length;
+      missing += length - best.length;
+    }
+    return score + Math.min(wilds, missing);
+  }
+
+  /**
+   *
+   * chooseMelds
+   * Picks the melds the bot lays down.  Until the bot has melded the melds must meet
+   * the contract of the round, afterwards any single valid meld will do.
+   *
+   * @return {array} returns an array of arrays of card ids, null if there is no meld.
+   *
+   */
+  chooseMelds() {
+    const [layDown] = this.game.findLayDowns(this.id);
+    return layDown || null;
+  }
+
+  /**
+   *
+   * chooseSwap
+   * Picks a natural card in the hand of the bot that can replace a wild card on the
+   * meld of another player.  Only HARD bots swap.
+   *
+   * @return {object} returns the card id and meld id of the swap, null if there is none.
+   *
+   */
+  chooseSwap() {
+    if (this.level !== "HARD") return null;
+    const swap = this.game
+      .getHints(this.id)
+      .swaps.find(({ cardID }) => !this.isWild(this.getCard(cardID)));
+    return swap || null;
+  }
+
+  /**
+   *
+   * chooseLayOff
+   * Picks a card in the hand of the bot that can be added to a meld on the table.
+   * Natural cards are laid off before wild cards.
+   *
+   * @return {object} returns the card id and meld id of the lay off, null if there is none.
+   *
+   */
+  chooseLayOff() {
+    const { layOffs } = this.game.getHints(this.id);
+    const layOff =
+      layOffs.find(({ cardID }) => !this.isWild(this.getCard(cardID))) ||
+      layOffs[0];
+    return layOff || null;
+  }
+
+  /**
+   *
+   * chooseAutoDiscard
+   * Picks the card to discard for a player whose turn ran out of time.  Of the cards
+   * that help the hand the least the one worth the most points is discarded.  Wild
+   * cards are only discarded when the hand holds nothing else.
+   *
+   * @return {number} returns the id of the card to discard.
+   *
+   */
+  chooseAutoDiscard() {
+    const hand = this.getHand();
+    const naturals = hand.filter(card => !this.isWild(card));
+    const scored = (naturals.length ? naturals : hand).map(card => ({
+      card,
+      score: this.usefulness(card, hand)
+    }));
+    scored.sort((a, b) => a.score - b.score || b.card.value - a.card.value);
+    return scored[0].card.id;
+  }
+
+  /**
+   *
+   * chooseDiscard
+   * Picks the card to discard at the end of the turn.  Wild cards are kept whenever
+   * possible.  An EASY bot discards any card that helps its hand little, a HARD bot
+   * discards the card the hand can miss the most - the least useful card and of those
+   * the one worth the most points.  A HARD bot holding more wild cards than natural
+   * cards cannot use them all and gives one up.
+   *
+   * @return {number} returns the id of the card to discard.
+   *
+   */
+  chooseDiscard() {
+    const hand = this.getHand();
+    const naturals = hand.filter(card => !this.isWild(card));
+    const wilds = hand.filter(card => this.isWild(card));
+    if (this.level === "HARD" && wilds.length > naturals.length)
+      return wilds.sort((a, b) => b.value - a.value)[0].id;
+    const scored = (naturals.length ? naturals : hand).map(card => ({
+      card,
+      score: this.usefulness(card, hand)
+    }));
+    if (this.level !== "HARD") {
+      const least = Math.min(...scored.map(({ score }) => score));
+      const cards = scored.filter(({ score }) => score <= least + 2);
+      return cards[Math.floor(Math.random() * cards.length)].card.id;
+    }
+    // before melding keep the cards that bring the hand closest to the contract
+    if (!this.game.hasMeld(this.id))
+      scored.forEach(
+        s => (s.progress = this.progress(hand.filter(card => card !== s.card)))
+      );
+    scored.sort(
+      (a, b) =>
+        (b.progress || 0) - (a.progress || 0) ||
+        a.score - b.score ||
+        b.card.value - a.card.value
+    );
+    return scored[0].card.id;
+  }
+}
+
+module.exports = Bot;
+module.exports.botLevels = botLevels;
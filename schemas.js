@@ -0,0 +1,181 @@
+const { GameError } = require("./MayI"); /** game errors */
+
+/** Maximum length of room names, user IDs, names and tokens */
+const maxStringLength = 100;
+
+/**
+ * Checks for every field type.  A check returns the value the handler receives or
+ * undefined when the value has the wrong type.
+ */
+const types = {
+  string: value =>
+    typeof value === "string" && value.length <= maxStringLength
+      ? value
+      : undefined,
+  text: value => (typeof value === "string" ? value : undefined),
+  integer: value => (Number.isInteger(value) ? value : undefined),
+  boolean: value => (typeof value === "boolean" ? value : undefined),
+  // ids of melds are rendered into the page and may come back as strings
+  id: value =>
+    Number.isInteger(value)
+      ? value
+      : typeof value === "string" && /^\d{1,9}$/.test(value)
+      ? parseInt(value)
+      : undefined,
+  melds: value =>
+    Array.isArray(value) &&
+    value.every(
+      meld => Array.isArray(meld) && meld.every(id => Number.isInteger(id))
+    )
+      ? value
+      : undefined,
+  // the name of a preset or the contract of every round
+  contracts: value =>
+    types.string(value) !== undefined ||
+    (Array.isArray(value) &&
+      value.every(
+        contract =>
+          contract !== null &&
+          typeof contract === "object" &&
+          !Array.isArray(contract)
+      ))
+      ? value
+      : undefined,
+  wildLimit: value =>
+    Number.isInteger(value) || value === "NATURALS" ? value : undefined
+};
+
+/** Descriptions of the field types used in error messages */
+const descriptions = {
+  string: `a string of at most ${maxStringLength} characters`,
+  text: "a string",
+  integer: "an integer",
+  boolean: "true or false",
+  id: "an integer",
+  melds: "an array of arrays of card ids",
+  contracts: "the name of a preset or an array of contract objects",
+  wildLimit: "an integer or NATURALS"
+};
+
+/** Fields of every event that acts in a room as a player */
+const playerFields = { room: "string", user: "string?" };
+
+/** Fields of the event and the REST request that create a room */
+const createRoomFields = {
+  room: "string",
+  user: "string",
+  userName: "string?",
+  numberOfPlayers: "integer",
+  seed: "integer?",
+  isPublic: "boolean?",
+  gracePeriod: "integer?",
+  seatPolicy: "string?",
+  buyWindow: "integer?",
+  turnLength: "integer?",
+  allowSpectators: "boolean?",
+  maxSpectators: "integer?",
+  // game options, their values are checked by MayI
+  contracts: "contracts?",
+  jokers: "integer?",
+  jokerValue: "integer?",
+  wilds: "string?",
+  aces: "string?",
+  minMeldLength: "integer?",
+  maxWilds: "wildLimit?"
+};
+
+/**
+ * The payload of every socket event and the body of POST /rooms.  Each field is given
+ * a type, a type ending in ? may also be missing or null.  Fields that are not listed
+ * are passed on unchecked.
+ */
+const schemas = {
+  createRoom: createRoomFields,
+  // rooms created through REST may be left without a host
+  "POST /rooms": { ...createRoomFields, user: "string?" },
+  joinRoom: {
+    room: "string",
+    user: "string",
+    userName: "string?",
+    token: "string?"
+  },
+  startRound: playerFields,
+  reconnectToGame: playerFields,
+  leaveRoom: playerFields,
+  isGameOver: { room: "string" },
+  getOtherPlayers: playerFields,
+  getMelds: { room: "string" },
+  drawCard: playerFields,
+  discardCard: { ...playerFields, cardID: "integer" },
+  newMeld: { ...playerFields, melds: "melds" },
+  getOpponentCards: playerFields,
+  buyProcess: { room: "string" },
+  buyCard: playerFields,
+  passBuy: playerFields,
+  getTimers: { room: "string" },
+  hasMeld: playerFields,
+  getHints: playerFields,
+  canSwapWithMeld: { ...playerFields, meldDropID: "id", cardID: "integer" },
+  swapWithMeld: { ...playerFields, meldDropID: "id", cardID: "integer" },
+  addToMeld: { ...playerFields, meldDropID: "id", cardID: "integer" },
+  spectateRoom: { room: "string", userName: "string?" },
+  getPublicState: { room: "string" },
+  stopSpectating: { room: "string" },
+  setSpectating: {
+    ...playerFields,
+    allowSpectators: "boolean?",
+    maxSpectators: "integer?"
+  },
+  sendChat: { ...playerFields, text: "text" },
+  muteChat: { ...playerFields, player: "string", muted: "boolean?" },
+  setChat: { ...playerFields, enabled: "boolean" },
+  addBot: { ...playerFields, level: "string?", player: "string?" },
+  startGame: playerFields,
+  kickPlayer: { ...playerFields, player: "string" },
+  lockRoom: { ...playerFields, locked: "boolean" },
+  transferHost: { ...playerFields, player: "string" },
+  setAway: { ...playerFields, away: "boolean" },
+  pauseGame: playerFields,
+  resumeGame: playerFields,
+  votePause: playerFields,
+  joinLobby: {},
+  leaveLobby: {},
+  quickMatch: {
+    user: "string",
+    userName: "string?",
+    numberOfPlayers: "integer"
+  },
+  updateAfterBuy: playerFields
+};
+
+/**
+ * Check the payload of a socket event against the schema of the event.  Throws a
+ * GameError naming the first field that does not match.
+ * @param {string} event - The name of the event
+ * @param {*} payload - The payload sent by the client
+ * @returns {object} payload - The payload with every field converted to its type
+ */
+function checkPayload(event, payload) {
+  const schema = schemas[event];
+  if (!schema)
+    throw new GameError("UNKNOWN_EVENT", `There is no event named ${event}.`);
+  if (payload === undefined || payload === null) payload = {};
+  if (typeof payload !== "object" || Array.isArray(payload))
+    throw new GameError("INVALID_PAYLOAD", `The ${event} payload is invalid.`);
+  const checked = { ...payload };
+  for (let field in schema) {
+    const optional = schema[field].endsWith("?");
+    const type = optional ? schema[field].slice(0, -1) : schema[field];
+    const value = payload[field];
+    if (optional && (value === undefined || value === null)) continue;
+    checked[field] = types[type](value);
+    if (checked[field] === undefined)
+      throw new GameError(
+        "INVALID_PAYLOAD",
+        `${field} must be ${descriptions[type]}.`
+      );
+  }
+  return checked;
+}
+
+module.exports = { schemas, checkPayload };
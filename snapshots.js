@@ -0,0 +1,83 @@
+const fs = require("fs"); /** require file system */
+const path = require("path"); /** require path */
+const crypto = require("crypto"); /** require crypto */
+
+/** The directory room snapshots are written to */
+const snapshotDir =
+  process.env.SNAPSHOT_DIR || path.join(__dirname, "snapshots");
+
+/**
+ * Get the path of the snapshot file for a room
+ * @param {string} room - The room ID
+ * @returns {string} path - Path of the snapshot file
+ */
+function snapshotPath(room) {
+  return path.join(snapshotDir, `${encodeURIComponent(room)}.json`);
+}
+
+/**
+ * Write the snapshot of a room to disk.  The snapshot is written to a temporary file
+ * first and then renamed so a crash never leaves a partially written snapshot behind.
+ * @param {string} room - The room ID
+ * @param {string} json - The serialized room
+ */
+function saveSnapshot(room, json) {
+  fs.mkdirSync(snapshotDir, { recursive: true });
+  const file = snapshotPath(room);
+  fs.writeFileSync(`${file}.tmp`, json);
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Remove the snapshot of a room from disk
+ * @param {string} room - The room ID
+ */
+function deleteSnapshot(room) {
+  try {
+    fs.unlinkSync(snapshotPath(room));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+}
+
+/**
+ * Read every room snapshot from disk.  Snapshots that cannot be read are skipped.
+ * @returns {object} snapshots - Parsed snapshots keyed by room ID
+ */
+function loadSnapshots() {
+  const snapshots = Object.create(null);
+  if (!fs.existsSync(snapshotDir)) return snapshots;
+  for (let file of fs.readdirSync(snapshotDir)) {
+    if (!file.endsWith(".json")) continue;
+    const room = decodeURIComponent(file.slice(0, -".json".length));
+    try {
+      snapshots[room] = JSON.parse(
+        fs.readFileSync(path.join(snapshotDir, file), "utf8")
+      );
+    } catch (e) {
+      console.log(`Unable to read snapshot ${file}: ${e.message}`);
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Read the secret the server signs reconnect tokens with.  The secret is kept next to
+ * the snapshots so tokens stay valid for restored rooms.  A new secret is created the
+ * first time.
+ * @returns {string} secret - The secret
+ */
+function loadSecret() {
+  const file = path.join(snapshotDir, "secret");
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  const secret = crypto.randomBytes(32).toString("hex");
+  fs.mkdirSync(snapshotDir, { recursive: true });
+  fs.writeFileSync(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+module.exports = { saveSnapshot, deleteSnapshot, loadSnapshots, loadSecret };
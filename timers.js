@@ -0,0 +1,147 @@
+/** Class keeping track of every timeout of a game room */
+class RoomTimers {
+  /**
+   *
+   * Create the timers of a room
+   * Every timeout of a room is started through its timers under a name such as TURN or
+   * BUY.  A name holds at most one timeout, starting it again replaces the previous one.
+   * Timeouts can be paused and resumed with the time they had left.
+   *
+   */
+  constructor() {
+    this.timers = {};
+  }
+
+  /**
+   *
+   * start
+   * Starts a timeout, replacing any timeout with the same name.
+   * @param {string} name - name of the timeout.
+   * @param {number} delay - time (in ms) until the callback is called.
+   * @param {function} callback - called with args once the time is up.
+   * @param {...*} args - arguments of the callback.
+   * @return {number} returns the time (in ms since epoch) the timeout ends.
+   *
+   */
+  start(name, delay, callback, ...args) {
+    this.clear(name);
+    this.timers[name] = { callback: () => callback(...args) };
+    return this.run(name, delay);
+  }
+
+  /**
+   *
+   * run
+   * Sets the timeout of a started or resumed timer.
+   * @param {string} name - name of the timeout.
+   * @param {number} delay - time (in ms) until the callback is called.
+   * @return {number} returns the time (in ms since epoch) the timeout ends.
+   *
+   */
+  run(name, delay) {
+    const timer = this.timers[name];
+    timer.deadline = Date.now() + delay;
+    timer.remaining = null;
+    timer.timeout = setTimeout(() => {
+      delete this.timers[name];
+      timer.callback();
+    }, delay);
+    return timer.deadline;
+  }
+
+  /**
+   *
+   * clear
+   * Cancels a timeout.
+   * @param {string} name - name of the timeout.
+   *
+   */
+  clear(name) {
+    if (!this.timers[name]) return;
+    clearTimeout(this.timers[name].timeout);
+    delete this.timers[name];
+  }
+
+  /**
+   *
+   * pause
+   * Stops timeouts and keeps the time they had left.
+   * @param {array} names - names of the timeouts to pause.
+   *
+   */
+  pause(names) {
+    for (let name of names) {
+      const timer = this.timers[name];
+      if (!timer || timer.remaining !== null) continue;
+      clearTimeout(timer.timeout);
+      timer.remaining = Math.max(0, timer.deadline - Date.now());
+      timer.deadline = null;
+    }
+  }
+
+  /**
+   *
+   * resume
+   * Restarts every paused timeout with the time it had left.
+   * @return {object} returns the new end time (in ms since epoch) of each resumed timeout by name.
+   *
+   */
+  resume() {
+    const deadlines = {};
+    for (let name in this.timers)
+      if (this.timers[name].remaining !== null)
+        deadlines[name] = this.run(name, this.timers[name].remaining);
+    return deadlines;
+  }
+
+  /**
+   *
+   * has
+   * Checks whether a timeout is running or paused.
+   * @param {string} name - name of the timeout.
+   * @return {boolean} returns true if the timeout is running or paused, false otherwise.
+   *
+   */
+  has(name) {
+    return Boolean(this.timers[name]);
+  }
+
+  /**
+   *
+   * deadline
+   * Gets the time a timeout ends.
+   * @param {string} name - name of the timeout.
+   * @return {number} returns the time (in ms since epoch), null if the timeout is not running.
+   *
+   */
+  deadline(name) {
+    return this.timers[name] ? this.timers[name].deadline : null;
+  }
+
+  /**
+   *
+   * remaining
+   * Gets the time left until a timeout ends.
+   * @param {string} name - name of the timeout.
+   * @return {number} returns the time left (in ms), null if there is no such timeout.
+   *
+   */
+  remaining(name) {
+    const timer = this.timers[name];
+    if (!timer) return null;
+    if (timer.remaining !== null) return timer.remaining;
+    return Math.max(0, timer.deadline - Date.now());
+  }
+
+  /**
+   *
+   * clearAll
+   * Cancels every timeout of the room.  Called when the room is deleted.
+   *
+   */
+  clearAll() {
+    for (let name in this.timers) this.clear(name);
+  }
+}
+
+module.exports = RoomTimers;